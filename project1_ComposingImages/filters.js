@@ -0,0 +1,416 @@
+// Image filters for the layers of project1.
+// Filters take the same ImageData objects that composite uses and return new images.
+// Blurs are computed with premultiplied alpha in float buffers, so that transparent pixels
+// do not darken the edges. Filters that spread pixels beyond the image, such as blurs and
+// shadows, work on a copy of the image padded with transparent pixels (see ApplyFilters).
+
+// Each filter has its default parameters, a pad function that returns how many pixels
+// the result can extend beyond the image on each side, and an apply function that takes
+// an image and the parameters and returns the filtered image of the same size.
+// Colors are given as "#rrggbb" strings.
+var IMAGE_FILTERS = {
+  "gaussian-blur": {
+    params: { radius: 4 },
+    pad: function (p) {
+      return Math.ceil(Math.max(0, p.radius));
+    },
+    apply: function (img, p) {
+      return GaussianBlur(img, p.radius);
+    },
+  },
+  "box-blur": {
+    params: { radius: 2 },
+    pad: function (p) {
+      return Math.ceil(Math.max(0, p.radius));
+    },
+    apply: function (img, p) {
+      return BoxBlur(img, p.radius);
+    },
+  },
+  "unsharp-mask": {
+    // amount scales the difference to the blurred image, and differences
+    // below the threshold (in the 0-255 range) are left unchanged
+    params: { radius: 2, amount: 1, threshold: 0 },
+    apply: function (img, p) {
+      return UnsharpMask(img, p.radius, p.amount, p.threshold);
+    },
+  },
+  convolution: {
+    // A 3x3 or 5x5 kernel in row-major order. The result is divided by the divisor
+    // and the bias (in [0,1]) is added. If preserveAlpha is true, only colors are filtered.
+    params: { kernel: [0, -1, 0, -1, 5, -1, 0, -1, 0], divisor: 1, bias: 0, preserveAlpha: true },
+    apply: function (img, p) {
+      return Convolve(img, p.kernel, p.divisor, p.bias, p.preserveAlpha);
+    },
+  },
+  "edge-detect": {
+    params: {},
+    apply: function (img, p) {
+      return SobelEdges(img);
+    },
+  },
+  "drop-shadow": {
+    params: { offsetX: 8, offsetY: 8, blur: 6, color: "#000000", opacity: 0.6 },
+    pad: function (p) {
+      return Math.ceil(Math.max(0, p.blur) + Math.max(Math.abs(p.offsetX), Math.abs(p.offsetY)));
+    },
+    apply: function (img, p) {
+      return DropShadow(img, p.offsetX, p.offsetY, p.blur, p.color, p.opacity);
+    },
+  },
+  "outer-glow": {
+    // spread grows the shape of the layer by the given number of pixels before blurring
+    params: { spread: 2, blur: 10, color: "#ffff80", opacity: 0.8 },
+    pad: function (p) {
+      return Math.ceil(Math.max(0, p.blur) + Math.max(0, p.spread));
+    },
+    apply: function (img, p) {
+      return OuterGlow(img, p.spread, p.blur, p.color, p.opacity);
+    },
+  },
+};
+
+// Names of all filter types, in the order they are listed in the interface.
+var IMAGE_FILTER_TYPES = Object.keys(IMAGE_FILTERS);
+
+// Returns a new filter { type, params } of the given type with the default parameters.
+function CreateImageFilter(type) {
+  if (!IMAGE_FILTERS[type]) throw new Error("Unknown filter: " + type);
+  return { type: type, params: JSON.parse(JSON.stringify(IMAGE_FILTERS[type].params)) };
+}
+
+// Applies the list of filters { type, params } to the image in order.
+// Returns { image, x, y }, where (x,y) is the position of the top-left pixel of the
+// filtered image in the pixel coordinates of the given image. It is negative when
+// the filters extend the image. The given image is not modified.
+function ApplyFilters(img, filters) {
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < filters.length; i++) {
+    let filter = IMAGE_FILTERS[filters[i].type];
+    if (!filter) throw new Error("Unknown filter: " + filters[i].type);
+    let p = Object.assign({}, filter.params, filters[i].params);
+    let pad = filter.pad ? filter.pad(p) : 0;
+    if (pad > 0) {
+      img = PadImage(img, pad);
+      x -= pad;
+      y -= pad;
+    }
+    img = filter.apply(img, p);
+  }
+  return { image: img, x: x, y: y };
+}
+
+// Returns a copy of the image with the given number of transparent pixels added on each side.
+function PadImage(img, pad) {
+  let width = img.width + 2 * pad;
+  let height = img.height + 2 * pad;
+  let data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < img.height; y++) {
+    let row = img.data.subarray(y * img.width * 4, (y + 1) * img.width * 4);
+    data.set(row, ((y + pad) * width + pad) * 4);
+  }
+  return { width: width, height: height, data: data };
+}
+
+// Returns the pixels of the image as a Float32Array of premultiplied [r,g,b,a] values in [0,1].
+function ToPremultiplied(img) {
+  let data = new Float32Array(img.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    let a = img.data[i + 3] / 255;
+    data[i] = (img.data[i] / 255) * a;
+    data[i + 1] = (img.data[i + 1] / 255) * a;
+    data[i + 2] = (img.data[i + 2] / 255) * a;
+    data[i + 3] = a;
+  }
+  return data;
+}
+
+// Returns an image of the given size from premultiplied values created by ToPremultiplied.
+function FromPremultiplied(data, width, height) {
+  let out = new Uint8ClampedArray(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    let a = Math.min(1, Math.max(0, data[i + 3]));
+    if (a > 0) {
+      out[i] = (data[i] / a) * 255;
+      out[i + 1] = (data[i + 1] / a) * 255;
+      out[i + 2] = (data[i + 2] / a) * 255;
+    }
+    out[i + 3] = a * 255;
+  }
+  return { width: width, height: height, data: out };
+}
+
+// Convolves the premultiplied pixels with the 1D kernel horizontally and then vertically.
+// The kernel has an odd length and is centered. Pixels beyond the borders repeat the border pixels.
+function ConvolveSeparable(data, width, height, kernel) {
+  let r = (kernel.length - 1) / 2;
+  let tmp = new Float32Array(data.length);
+  let out = new Float32Array(data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let s0 = 0;
+      let s1 = 0;
+      let s2 = 0;
+      let s3 = 0;
+      for (let k = -r; k <= r; k++) {
+        let i = (y * width + Math.min(width - 1, Math.max(0, x + k))) * 4;
+        let w = kernel[k + r];
+        s0 += data[i] * w;
+        s1 += data[i + 1] * w;
+        s2 += data[i + 2] * w;
+        s3 += data[i + 3] * w;
+      }
+      let o = (y * width + x) * 4;
+      tmp[o] = s0;
+      tmp[o + 1] = s1;
+      tmp[o + 2] = s2;
+      tmp[o + 3] = s3;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let s0 = 0;
+      let s1 = 0;
+      let s2 = 0;
+      let s3 = 0;
+      for (let k = -r; k <= r; k++) {
+        let i = (Math.min(height - 1, Math.max(0, y + k)) * width + x) * 4;
+        let w = kernel[k + r];
+        s0 += tmp[i] * w;
+        s1 += tmp[i + 1] * w;
+        s2 += tmp[i + 2] * w;
+        s3 += tmp[i + 3] * w;
+      }
+      let o = (y * width + x) * 4;
+      out[o] = s0;
+      out[o + 1] = s1;
+      out[o + 2] = s2;
+      out[o + 3] = s3;
+    }
+  }
+  return out;
+}
+
+// Returns the normalized 1D Gaussian kernel that reaches the given radius,
+// which covers three standard deviations.
+function GaussianKernel(radius) {
+  let r = Math.ceil(radius);
+  let sigma = Math.max(radius / 3, 1e-3);
+  let kernel = [];
+  let sum = 0;
+  for (let i = -r; i <= r; i++) {
+    let w = Math.exp((-i * i) / (2 * sigma * sigma));
+    kernel.push(w);
+    sum += w;
+  }
+  return kernel.map(function (w) {
+    return w / sum;
+  });
+}
+
+// Returns a copy of the image blurred with a Gaussian filter of the given radius in pixels.
+function GaussianBlur(img, radius) {
+  if (!(radius > 0)) return { width: img.width, height: img.height, data: img.data.slice() };
+  let data = ConvolveSeparable(ToPremultiplied(img), img.width, img.height, GaussianKernel(radius));
+  return FromPremultiplied(data, img.width, img.height);
+}
+
+// Returns a copy of the image where each pixel is the average of the (2r+1)x(2r+1) pixels around it.
+function BoxBlur(img, radius) {
+  let r = Math.round(Math.max(0, radius));
+  let kernel = [];
+  for (let i = 0; i < 2 * r + 1; i++) kernel.push(1 / (2 * r + 1));
+  let data = ConvolveSeparable(ToPremultiplied(img), img.width, img.height, kernel);
+  return FromPremultiplied(data, img.width, img.height);
+}
+
+// Returns a sharpened copy of the image, which adds the difference between the image
+// and its Gaussian blurred version, scaled by amount, where the difference exceeds the threshold.
+function UnsharpMask(img, radius, amount, threshold) {
+  let blurred = GaussianBlur(img, radius).data;
+  let data = img.data;
+  let out = new Uint8ClampedArray(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      let d = data[i + c] - blurred[i + c];
+      out[i + c] = Math.abs(d) >= threshold ? data[i + c] + d * amount : data[i + c];
+    }
+    out[i + 3] = data[i + 3];
+  }
+  return { width: img.width, height: img.height, data: out };
+}
+
+// Returns a copy of the image convolved with the given square kernel of 9 or 25 values
+// in row-major order. The sums are divided by the divisor, which defaults to 1, and the bias
+// in [0,1] is added. If preserveAlpha is true, the straight colors are filtered and alpha
+// is kept; otherwise all premultiplied channels are filtered.
+// Pixels beyond the borders repeat the border pixels.
+function Convolve(img, kernel, divisor, bias, preserveAlpha) {
+  let size = Math.round(Math.sqrt(kernel.length));
+  if (size * size != kernel.length || size % 2 == 0) {
+    throw new Error("Convolution kernels must be 3x3 or 5x5");
+  }
+  let r = (size - 1) / 2;
+  let width = img.width;
+  let height = img.height;
+  let scale = 1 / (divisor || 1);
+  bias = bias || 0;
+  let data = preserveAlpha ? img.data : ToPremultiplied(img);
+  let unit = preserveAlpha ? 1 / 255 : 1;
+  let result = new Float32Array(img.data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let s = [0, 0, 0, 0];
+      for (let j = -r; j <= r; j++) {
+        let yy = Math.min(height - 1, Math.max(0, y + j));
+        for (let i = -r; i <= r; i++) {
+          let xx = Math.min(width - 1, Math.max(0, x + i));
+          let w = kernel[(j + r) * size + i + r];
+          let p = (yy * width + xx) * 4;
+          for (let c = 0; c < 4; c++) s[c] += data[p + c] * unit * w;
+        }
+      }
+      let o = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) result[o + c] = s[c] * scale + bias;
+      result[o + 3] = preserveAlpha ? img.data[o + 3] / 255 : s[3] * scale + bias;
+    }
+  }
+  if (!preserveAlpha) {
+    // Premultiplied colors cannot exceed alpha
+    for (let i = 0; i < result.length; i += 4) {
+      let a = Math.min(1, Math.max(0, result[i + 3]));
+      for (let c = 0; c < 3; c++) result[i + c] = Math.min(a, Math.max(0, result[i + c]));
+    }
+    return FromPremultiplied(result, width, height);
+  }
+  let out = new Uint8ClampedArray(result.length);
+  for (let i = 0; i < result.length; i++) out[i] = result[i] * 255;
+  return { width: width, height: height, data: out };
+}
+
+// Returns a grayscale image of the edges of the given image, computed as the magnitude of the
+// Sobel gradient of the luminance. The luminance is premultiplied by alpha, so the outlines of
+// opaque shapes are also edges. The alpha of the image is kept.
+function SobelEdges(img) {
+  let width = img.width;
+  let height = img.height;
+  let lum = new Float32Array(width * height);
+  for (let i = 0; i < lum.length; i++) {
+    let p = i * 4;
+    let c = [img.data[p] / 255, img.data[p + 1] / 255, img.data[p + 2] / 255];
+    lum[i] = Lum(c) * (img.data[p + 3] / 255);
+  }
+  function at(x, y) {
+    return lum[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+  }
+  let out = new Uint8ClampedArray(img.data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let gx =
+        at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) -
+        at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+      let gy =
+        at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) -
+        at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+      let o = (y * width + x) * 4;
+      out[o] = out[o + 1] = out[o + 2] = Math.sqrt(gx * gx + gy * gy) * 255;
+      out[o + 3] = img.data[o + 3];
+    }
+  }
+  return { width: width, height: height, data: out };
+}
+
+// Returns a copy of the image with a blurred shadow of its alpha channel behind it.
+// The shadow is moved by the given offset and has the given "#rrggbb" color and opacity.
+// The image should be padded (see ApplyFilters), since the shadow does not extend it.
+function DropShadow(img, offsetX, offsetY, blur, color, opacity) {
+  let dx = Math.round(offsetX);
+  let dy = Math.round(offsetY);
+  let alpha = BlurAlpha(AlphaChannel(img), img.width, img.height, blur);
+  let shadow = new Float32Array(alpha.length);
+  for (let y = 0; y < img.height; y++) {
+    for (let x = 0; x < img.width; x++) {
+      let sx = x - dx;
+      let sy = y - dy;
+      if (sx >= 0 && sy >= 0 && sx < img.width && sy < img.height) {
+        shadow[y * img.width + x] = alpha[sy * img.width + sx];
+      }
+    }
+  }
+  return CompositeOverShadow(img, shadow, color, opacity);
+}
+
+// Returns a copy of the image with a blurred glow of the given "#rrggbb" color around it.
+// The shape of the image is grown by the spread in pixels before it is blurred.
+// The image should be padded (see ApplyFilters), since the glow does not extend it.
+function OuterGlow(img, spread, blur, color, opacity) {
+  let alpha = DilateAlpha(AlphaChannel(img), img.width, img.height, Math.round(spread));
+  return CompositeOverShadow(img, BlurAlpha(alpha, img.width, img.height, blur), color, opacity);
+}
+
+// Returns the alpha channel of the image as a Float32Array of values in [0,1].
+function AlphaChannel(img) {
+  let alpha = new Float32Array(img.width * img.height);
+  for (let i = 0; i < alpha.length; i++) alpha[i] = img.data[i * 4 + 3] / 255;
+  return alpha;
+}
+
+// Returns the alpha channel blurred with a Gaussian filter of the given radius.
+function BlurAlpha(alpha, width, height, radius) {
+  if (!(radius > 0)) return alpha;
+  let data = new Float32Array(alpha.length * 4);
+  for (let i = 0; i < alpha.length; i++) data[i * 4 + 3] = alpha[i];
+  data = ConvolveSeparable(data, width, height, GaussianKernel(radius));
+  let out = new Float32Array(alpha.length);
+  for (let i = 0; i < alpha.length; i++) out[i] = data[i * 4 + 3];
+  return out;
+}
+
+// Returns the alpha channel where each pixel is the maximum within the given number of pixels,
+// computed separably, which grows the shape by a square of the given radius.
+function DilateAlpha(alpha, width, height, radius) {
+  if (!(radius > 0)) return alpha;
+  let tmp = new Float32Array(alpha.length);
+  let out = new Float32Array(alpha.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let m = 0;
+      for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+        m = Math.max(m, alpha[y * width + k]);
+      }
+      tmp[y * width + x] = m;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let m = 0;
+      for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+        m = Math.max(m, tmp[k * width + x]);
+      }
+      out[y * width + x] = m;
+    }
+  }
+  return out;
+}
+
+// Returns the image composited over a shadow with the given alpha values, color, and opacity.
+function CompositeOverShadow(img, shadowAlpha, color, opacity) {
+  let rgb = ParseHexColor(color);
+  let shadow = new Uint8ClampedArray(img.data.length);
+  for (let i = 0; i < shadowAlpha.length; i++) {
+    shadow[i * 4] = rgb[0];
+    shadow[i * 4 + 1] = rgb[1];
+    shadow[i * 4 + 2] = rgb[2];
+    shadow[i * 4 + 3] = shadowAlpha[i] * opacity * 255;
+  }
+  let out = { width: img.width, height: img.height, data: shadow };
+  composite(out, img, 1, { x: 0, y: 0 });
+  return out;
+}
+
+// Returns the [r,g,b] values in the 0-255 range of a "#rrggbb" color.
+function ParseHexColor(color) {
+  let v = parseInt(String(color).replace("#", ""), 16) || 0;
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+}
@@ -0,0 +1,421 @@
+// WebGL implementation of the compositing function in project1.js.
+// The CPU composite function is the reference: the fragment shader below performs the same
+// sampling, blending, and Porter-Duff compositing steps for each background pixel, so that
+// both paths produce the same result up to the rounding of 8-bit color channels.
+// Images live on the GPU as surfaces, which are pairs of textures that are rendered into
+// alternately, because a texture cannot be read while it is being rendered to.
+
+class GLCompositor {
+  // The canvas is only used for its WebGL context, so it does not need to be part of the page.
+  constructor(canvas) {
+    canvas = canvas || document.createElement("canvas");
+    let gl = canvas.getContext("webgl", {
+      alpha: true,
+      premultipliedAlpha: false,
+      antialias: false,
+      preserveDrawingBuffer: true,
+    });
+    if (!gl) throw new Error("WebGL is not supported");
+    this.gl = gl;
+    this.textures = new WeakMap(); // uploaded foreground images
+
+    this.prog = this.createProgram(GL_COMPOSITE_VS, GL_COMPOSITE_FS);
+    this.aPosition = gl.getAttribLocation(this.prog, "aPosition");
+    this.uniforms = {};
+    let names = [
+      "uBg", "uFg", "uMask", "uBgSize", "uFgSize", "uInverse", "uOpacity",
+      "uBlend", "uOperator", "uFilter", "uHasMask", "uLinear", "uClip",
+    ];
+    for (let i = 0; i < names.length; i++) {
+      this.uniforms[names[i]] = gl.getUniformLocation(this.prog, names[i]);
+    }
+
+    // A single triangle that covers the whole viewport
+    this.vertexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+
+    this.maskTexture = this.createTexture(1, 1, null);
+  }
+
+  createProgram(vsSource, fsSource) {
+    let gl = this.gl;
+    function compile(type, source) {
+      let shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error("Shader compile error: " + gl.getShaderInfoLog(shader));
+      }
+      return shader;
+    }
+    let prog = gl.createProgram();
+    gl.attachShader(prog, compile(gl.VERTEX_SHADER, vsSource));
+    gl.attachShader(prog, compile(gl.FRAGMENT_SHADER, fsSource));
+    gl.linkProgram(prog);
+    if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
+      throw new Error("Shader link error: " + gl.getProgramInfoLog(prog));
+    }
+    return prog;
+  }
+
+  // Creates an RGBA texture of the given size with the given pixel data, which can be null.
+  // Textures are sampled with nearest filtering, since the shader filters by itself.
+  createTexture(width, height, data) {
+    let gl = this.gl;
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    this.uploadTexture(texture, width, height, data);
+    return texture;
+  }
+
+  // Replaces the contents of the texture. Image rows are stored from top to bottom,
+  // so that texture coordinates and gl_FragCoord use the same y direction as ImageData.
+  uploadTexture(texture, width, height, data) {
+    let gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    let pixels = data ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : null;
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  }
+
+  // Returns the texture of the given image, uploading it the first time it is used.
+  // Layer images are replaced rather than modified, so the uploaded copy stays valid.
+  getImageTexture(img) {
+    if (img.textures) return img.textures[img.current];
+    let texture = this.textures.get(img);
+    if (!texture) {
+      texture = this.createTexture(img.width, img.height, img.data);
+      this.textures.set(img, texture);
+    }
+    return texture;
+  }
+
+  // Creates a surface with the contents of the given image.
+  // If img has no data, the surface is fully transparent.
+  createSurface(img) {
+    let gl = this.gl;
+    let surface = { width: img.width, height: img.height, textures: [], framebuffers: [], current: 0 };
+    for (let i = 0; i < 2; i++) {
+      let texture = this.createTexture(img.width, img.height, i == 0 ? img.data || null : null);
+      let fb = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+      surface.textures.push(texture);
+      surface.framebuffers.push(fb);
+    }
+    if (!img.data) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, surface.framebuffers[0]);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return surface;
+  }
+
+  deleteSurface(surface) {
+    let gl = this.gl;
+    for (let i = 0; i < 2; i++) {
+      gl.deleteTexture(surface.textures[i]);
+      gl.deleteFramebuffer(surface.framebuffers[i]);
+    }
+  }
+
+  // Reads the contents of the surface into the given ImageData, which must have the same size.
+  readPixels(surface, img) {
+    let gl = this.gl;
+    let pixels = new Uint8Array(surface.width * surface.height * 4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, surface.framebuffers[surface.current]);
+    gl.readPixels(0, 0, surface.width, surface.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    img.data.set(pixels);
+  }
+
+  // Reads the surface into an image, calls callback(img) to modify it on the CPU, and uploads the result.
+  // This lets operations that have no shader, such as adjustment layers, take part in a GPU composite.
+  modify(surface, callback) {
+    let img = {
+      width: surface.width,
+      height: surface.height,
+      data: new Uint8ClampedArray(surface.width * surface.height * 4),
+    };
+    this.readPixels(surface, img);
+    callback(img);
+    this.uploadTexture(surface.textures[surface.current], img.width, img.height, img.data);
+  }
+
+  // Composites the foreground onto the surface, with the same arguments as the composite function.
+  // The foreground can be an image or another surface.
+  // Float images and the linear option with float buffers are not supported.
+  composite(surface, fgImg, fgOpac, fgPos, options) {
+    options = options || {};
+    let gl = this.gl;
+    let blend = BLEND_MODES.indexOf(options.blend || "normal");
+    if (blend < 0) throw new Error("Unknown blend mode: " + options.blend);
+    let operator = COMPOSITE_OPERATORS.indexOf(options.operator || "source-over");
+    if (operator < 0) throw new Error("Unknown composite operator: " + options.operator);
+
+    // Untransformed foregrounds are copied pixel by pixel like in the CPU version
+    let filter = 0;
+    let m = [1, 0, 0, 0, 1, 0, fgPos.x, fgPos.y, 1];
+    if (options.transform) {
+      filter = SAMPLE_FILTERS.indexOf(options.filter || "bilinear");
+      if (filter < 0) throw new Error("Unknown sample filter: " + options.filter);
+      m = ApplyTransform(options.transform, m);
+    }
+    let inverse = InverseTransform(m);
+    let opacity = fgOpac;
+    if (!inverse) {
+      inverse = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+      opacity = 0; // a singular transformation leaves nothing of the foreground
+    }
+    let clip = options.clip || { x: 0, y: 0, width: surface.width, height: surface.height };
+
+    gl.useProgram(this.prog);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, surface.framebuffers[1 - surface.current]);
+    gl.viewport(0, 0, surface.width, surface.height);
+    gl.disable(gl.BLEND);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, surface.textures[surface.current]);
+    gl.uniform1i(this.uniforms.uBg, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.getImageTexture(fgImg));
+    gl.uniform1i(this.uniforms.uFg, 1);
+    gl.activeTexture(gl.TEXTURE2);
+    if (options.mask) {
+      // Masks are painted in place, so they are uploaded every time
+      this.uploadTexture(this.maskTexture, options.mask.width, options.mask.height, options.mask.data);
+    } else {
+      gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+    }
+    gl.uniform1i(this.uniforms.uMask, 2);
+
+    gl.uniform2f(this.uniforms.uBgSize, surface.width, surface.height);
+    gl.uniform2f(this.uniforms.uFgSize, fgImg.width, fgImg.height);
+    gl.uniformMatrix3fv(this.uniforms.uInverse, false, inverse);
+    gl.uniform1f(this.uniforms.uOpacity, opacity);
+    gl.uniform1i(this.uniforms.uBlend, blend);
+    gl.uniform1i(this.uniforms.uOperator, operator);
+    gl.uniform1i(this.uniforms.uFilter, filter);
+    gl.uniform1i(this.uniforms.uHasMask, options.mask ? 1 : 0);
+    gl.uniform1i(this.uniforms.uLinear, options.linear ? 1 : 0);
+    gl.uniform4f(this.uniforms.uClip, clip.x, clip.y, clip.x + clip.width, clip.y + clip.height);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    gl.vertexAttribPointer(this.aPosition, 2, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(this.aPosition);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    surface.current = 1 - surface.current;
+  }
+}
+
+// Composites on the GPU with the same arguments and result as the composite function in project1.js.
+// The background is uploaded, modified, and read back, so this is meant for testing;
+// for many layers keep the image on a surface of a GLCompositor instead.
+function compositeGL(bgImg, fgImg, fgOpac, fgPos, options) {
+  if (bgImg.data instanceof Float32Array) {
+    throw new Error("Float images are not supported by the WebGL compositor");
+  }
+  if (!compositeGL.compositor) compositeGL.compositor = new GLCompositor();
+  let compositor = compositeGL.compositor;
+  let surface = compositor.createSurface(bgImg);
+  compositor.composite(surface, fgImg, fgOpac, fgPos, options);
+  compositor.readPixels(surface, bgImg);
+  compositor.deleteSurface(surface);
+}
+
+var GL_COMPOSITE_VS = `
+attribute vec2 aPosition;
+void main() {
+  gl_Position = vec4(aPosition, 0.0, 1.0);
+}`;
+
+// The blend modes and operators are numbered in the order of BLEND_MODES and COMPOSITE_OPERATORS,
+// and the filters in the order of SAMPLE_FILTERS.
+var GL_COMPOSITE_FS = `
+precision highp float;
+
+uniform sampler2D uBg;
+uniform sampler2D uFg;
+uniform sampler2D uMask;
+uniform vec2 uBgSize;
+uniform vec2 uFgSize;
+uniform mat3 uInverse;
+uniform float uOpacity;
+uniform int uBlend;
+uniform int uOperator;
+uniform int uFilter;
+uniform bool uHasMask;
+uniform bool uLinear;
+uniform vec4 uClip;
+
+float toLinear(float v) {
+  return v <= 0.04045 ? v / 12.92 : pow((v + 0.055) / 1.055, 2.4);
+}
+float toSRGB(float v) {
+  v = clamp(v, 0.0, 1.0);
+  return v <= 0.0031308 ? v * 12.92 : 1.055 * pow(v, 1.0 / 2.4) - 0.055;
+}
+vec3 decode(vec3 c) {
+  return uLinear ? vec3(toLinear(c.r), toLinear(c.g), toLinear(c.b)) : c;
+}
+vec3 encode(vec3 c) {
+  return uLinear ? vec3(toSRGB(c.r), toSRGB(c.g), toSRGB(c.b)) : c;
+}
+
+// Returns the premultiplied foreground pixel at the given integer coordinates,
+// or transparent black outside of the image.
+vec4 texel(vec2 ij) {
+  if (ij.x < 0.0 || ij.y < 0.0 || ij.x >= uFgSize.x || ij.y >= uFgSize.y) return vec4(0.0);
+  vec2 t = (ij + 0.5) / uFgSize;
+  vec4 c = texture2D(uFg, t);
+  if (uHasMask) c.a *= texture2D(uMask, t).r;
+  return vec4(decode(c.rgb) * c.a, c.a);
+}
+
+float cubicWeight(float t) {
+  float a = -0.5;
+  t = abs(t);
+  if (t <= 1.0) return (a + 2.0) * t * t * t - (a + 3.0) * t * t + 1.0;
+  if (t < 2.0) return a * t * t * t - 5.0 * a * t * t + 8.0 * a * t - 4.0 * a;
+  return 0.0;
+}
+
+// Samples the foreground at continuous pixel coordinates and returns straight alpha
+vec4 sampleFg(vec2 uv) {
+  vec4 sum = vec4(0.0);
+  vec2 f = uv - 0.5;
+  vec2 i0 = floor(f);
+  vec2 t = f - i0;
+  if (uFilter == 0) {
+    sum = texel(floor(uv));
+  } else if (uFilter == 1) {
+    sum = texel(i0) * (1.0 - t.x) * (1.0 - t.y) +
+          texel(i0 + vec2(1.0, 0.0)) * t.x * (1.0 - t.y) +
+          texel(i0 + vec2(0.0, 1.0)) * (1.0 - t.x) * t.y +
+          texel(i0 + vec2(1.0, 1.0)) * t.x * t.y;
+  } else {
+    for (int j = -1; j <= 2; j++) {
+      float wy = cubicWeight(f.y - (i0.y + float(j)));
+      for (int i = -1; i <= 2; i++) {
+        sum += texel(i0 + vec2(float(i), float(j))) * cubicWeight(f.x - (i0.x + float(i))) * wy;
+      }
+    }
+  }
+  float a = sum.a;
+  vec3 c = a > 0.0 ? clamp(sum.rgb / a, 0.0, 1.0) : vec3(0.0);
+  return vec4(c, clamp(a, 0.0, 1.0));
+}
+
+float hardLight(float cb, float cs) {
+  return cs <= 0.5 ? cb * 2.0 * cs : cb + (2.0 * cs - 1.0) - cb * (2.0 * cs - 1.0);
+}
+
+float blendChannel(float cb, float cs) {
+  if (uBlend == 1) return cb * cs;
+  if (uBlend == 2) return cb + cs - cb * cs;
+  if (uBlend == 3) return hardLight(cs, cb);
+  if (uBlend == 4) return min(cb, cs);
+  if (uBlend == 5) return max(cb, cs);
+  if (uBlend == 6) {
+    if (cb == 0.0) return 0.0;
+    if (cs >= 1.0) return 1.0;
+    return min(1.0, cb / (1.0 - cs));
+  }
+  if (uBlend == 7) {
+    if (cb >= 1.0) return 1.0;
+    if (cs == 0.0) return 0.0;
+    return 1.0 - min(1.0, (1.0 - cb) / cs);
+  }
+  if (uBlend == 8) return hardLight(cb, cs);
+  if (uBlend == 9) {
+    if (cs <= 0.5) return cb - (1.0 - 2.0 * cs) * cb * (1.0 - cb);
+    float d = cb <= 0.25 ? ((16.0 * cb - 12.0) * cb + 4.0) * cb : sqrt(cb);
+    return cb + (2.0 * cs - 1.0) * (d - cb);
+  }
+  if (uBlend == 10) return abs(cb - cs);
+  if (uBlend == 11) return cb + cs - 2.0 * cb * cs;
+  return cs;
+}
+
+float lum(vec3 c) {
+  return 0.3 * c.r + 0.59 * c.g + 0.11 * c.b;
+}
+vec3 clipColor(vec3 c) {
+  float l = lum(c);
+  float n = min(c.r, min(c.g, c.b));
+  float x = max(c.r, max(c.g, c.b));
+  if (n < 0.0) c = l + ((c - l) * l) / (l - n);
+  if (x > 1.0) c = l + ((c - l) * (1.0 - l)) / (x - l);
+  return c;
+}
+vec3 setLum(vec3 c, float l) {
+  return clipColor(c + (l - lum(c)));
+}
+float sat(vec3 c) {
+  return max(c.r, max(c.g, c.b)) - min(c.r, min(c.g, c.b));
+}
+vec3 setSat(vec3 c, float s) {
+  float mx = max(c.r, max(c.g, c.b));
+  float mn = min(c.r, min(c.g, c.b));
+  if (mx <= mn) return vec3(0.0);
+  return (c - mn) * s / (mx - mn);
+}
+
+vec3 blend(vec3 cb, vec3 cs) {
+  if (uBlend == 12) return setLum(setSat(cs, sat(cb)), lum(cb));
+  if (uBlend == 13) return setLum(setSat(cb, sat(cs)), lum(cb));
+  if (uBlend == 14) return setLum(cs, lum(cb));
+  if (uBlend == 15) return setLum(cb, lum(cs));
+  return vec3(blendChannel(cb.r, cs.r), blendChannel(cb.g, cs.g), blendChannel(cb.b, cs.b));
+}
+
+// Returns the Porter-Duff fractions [Fa, Fb] of the foreground and background
+vec2 factors(float as, float ab) {
+  if (uOperator == 1) return vec2(ab, 0.0);
+  if (uOperator == 2) return vec2(1.0 - ab, 0.0);
+  if (uOperator == 3) return vec2(ab, 1.0 - as);
+  if (uOperator == 4) return vec2(1.0 - ab, 1.0);
+  if (uOperator == 5) return vec2(0.0, as);
+  if (uOperator == 6) return vec2(0.0, 1.0 - as);
+  if (uOperator == 7) return vec2(1.0 - ab, as);
+  if (uOperator == 8) return vec2(1.0 - ab, 1.0 - as);
+  if (uOperator == 9) return vec2(0.0, 0.0);
+  return vec2(1.0, 1.0 - as);
+}
+
+void main() {
+  vec2 p = gl_FragCoord.xy;
+  vec4 bg = texture2D(uBg, p / uBgSize);
+  if (p.x < uClip.x || p.y < uClip.y || p.x > uClip.z || p.y > uClip.w) {
+    gl_FragColor = bg;
+    return;
+  }
+  vec3 cb = decode(bg.rgb);
+  float ab = bg.a;
+
+  vec4 fg = sampleFg((uInverse * vec3(p, 1.0)).xy);
+  vec3 cs = fg.rgb;
+  float as = fg.a * uOpacity;
+
+  // Replace the foreground color by the blended color where the background is opaque
+  if (uBlend != 0 && ab > 0.0 && as > 0.0) {
+    cs = (1.0 - ab) * cs + ab * blend(cb, cs);
+  }
+
+  vec2 f = factors(as, ab);
+  float fw = as * f.x;
+  float bw = ab * f.y;
+  float ao = fw + bw;
+  vec3 co = ao > 0.0 ? (cs * fw + cb * bw) / ao : vec3(0.0);
+  gl_FragColor = vec4(encode(co), ao);
+}`;
@@ -0,0 +1,288 @@
+// Reading and writing of layered compositions as OpenRaster (.ora) files.
+// An OpenRaster file is a zip archive holding a stack.xml file that lists the layers
+// and one PNG image per layer. Settings that OpenRaster has no attribute for, such as
+// the separate blend mode and operator, masks, and layer transformations, are stored as
+// attributes in the ORA_NAMESPACE namespace, which other applications ignore.
+
+var ORA_MIMETYPE = "image/openraster";
+var ORA_NAMESPACE = "urn:interactive-graphics:project1";
+
+// OpenRaster composite-op values for the blend modes and Porter-Duff operators.
+var ORA_BLEND_OPS = {
+  normal: "svg:src-over",
+  multiply: "svg:multiply",
+  screen: "svg:screen",
+  overlay: "svg:overlay",
+  darken: "svg:darken",
+  lighten: "svg:lighten",
+  "color-dodge": "svg:color-dodge",
+  "color-burn": "svg:color-burn",
+  "hard-light": "svg:hard-light",
+  "soft-light": "svg:soft-light",
+  difference: "svg:difference",
+  exclusion: "svg:exclusion",
+  hue: "svg:hue",
+  saturation: "svg:saturation",
+  color: "svg:color",
+  luminosity: "svg:luminosity",
+};
+var ORA_OPERATOR_OPS = {
+  "source-over": "svg:src-over",
+  "source-in": "svg:src-in",
+  "source-out": "svg:src-out",
+  "source-atop": "svg:src-atop",
+  "destination-over": "svg:dst-over",
+  "destination-in": "svg:dst-in",
+  "destination-out": "svg:dst-out",
+  "destination-atop": "svg:dst-atop",
+  xor: "svg:xor",
+  clear: "svg:clear",
+};
+
+// Returns the XML text of stack.xml for the given composition.
+// composition holds the width and height of the image, the linear light setting,
+// and the array of layers from top to bottom. Each layer has a name, the src paths of
+// its image and optional mask, and the layer settings (see ParseStackXml).
+function BuildStackXml(composition) {
+  function attr(name, value) {
+    let text = String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/"/g, "&quot;");
+    return " " + name + '="' + text + '"';
+  }
+  let xml = "<?xml version='1.0' encoding='UTF-8'?>\n";
+  xml +=
+    "<image" +
+    attr("version", "0.0.6") +
+    attr("w", composition.width) +
+    attr("h", composition.height) +
+    attr("xmlns:ig", ORA_NAMESPACE) +
+    attr("ig:linear", composition.linear ? "true" : "false") +
+    ">\n<stack>\n";
+  for (let i = 0; i < composition.layers.length; i++) {
+    let layer = composition.layers[i];
+    // OpenRaster has a single composite-op, so the blend mode wins over the operator
+    let op =
+      layer.blend != "normal" ? ORA_BLEND_OPS[layer.blend] : ORA_OPERATOR_OPS[layer.operator];
+    let t = layer.transform;
+    xml +=
+      "<layer" +
+      attr("name", layer.name) +
+      attr("src", layer.src) +
+      attr("x", layer.position.x) +
+      attr("y", layer.position.y) +
+      attr("opacity", layer.opacity) +
+      attr("visibility", "visible") +
+      attr("composite-op", op) +
+      attr("ig:blend", layer.blend) +
+      attr("ig:operator", layer.operator) +
+      attr("ig:filter", layer.filter) +
+      attr("ig:clip", layer.clip ? "true" : "false") +
+      attr(
+        "ig:transform",
+        [t.rotation, t.scaleX, t.scaleY, t.skewX, t.translateX, t.translateY].join(" ")
+      ) +
+      (layer.maskSrc ? attr("ig:mask", layer.maskSrc) : "") +
+      (layer.filters && layer.filters.length ? attr("ig:filters", JSON.stringify(layer.filters)) : "") +
+      (layer.adjustment
+        ? attr("ig:adjustment", layer.adjustment.type) +
+          attr("ig:params", JSON.stringify(layer.adjustment.params))
+        : "") +
+      (layer.shape
+        ? attr("ig:shape", layer.shape.type) + attr("ig:params", JSON.stringify(layer.shape.params))
+        : "") +
+      "/>\n";
+  }
+  xml += "</stack>\n</image>\n";
+  return xml;
+}
+
+// Parses the text of stack.xml and returns the composition it describes,
+// in the same format that BuildStackXml takes. Layers are listed from top to bottom.
+// Adjustment layers have an adjustment { type, params }, which is null for image layers,
+// text and shape layers have a shape { type, params } along with their rasterized image,
+// and filters is the list of image filters { type, params } of the layer.
+// Layers of nested stacks written by other applications are included in document order.
+// Settings missing from the file get the same defaults as new layers in the interface.
+function ParseStackXml(text) {
+  let doc = new DOMParser().parseFromString(text, "application/xml");
+  let image = doc.documentElement;
+  if (image.nodeName != "image" || doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Invalid stack.xml in OpenRaster file");
+  }
+  function get(e, name, fallback) {
+    let v = e.getAttributeNS(ORA_NAMESPACE, name);
+    return v === null || v === "" ? fallback : v;
+  }
+  function lookup(table, op) {
+    for (let name in table) {
+      if (table[name] == op) return name;
+    }
+    return null;
+  }
+  let composition = {
+    width: parseInt(image.getAttribute("w")),
+    height: parseInt(image.getAttribute("h")),
+    linear: get(image, "linear", "false") == "true",
+    layers: [],
+  };
+  let elements = image.getElementsByTagName("layer");
+  for (let i = 0; i < elements.length; i++) {
+    let e = elements[i];
+    if (e.getAttribute("visibility") == "hidden") continue;
+    let op = e.getAttribute("composite-op") || "svg:src-over";
+    let t = get(e, "transform", "0 1 1 0 0 0").split(" ").map(parseFloat);
+    composition.layers.push({
+      name: e.getAttribute("name") || "",
+      src: e.getAttribute("src"),
+      maskSrc: get(e, "mask", null),
+      position: {
+        x: parseInt(e.getAttribute("x") || "0"),
+        y: parseInt(e.getAttribute("y") || "0"),
+      },
+      opacity: parseFloat(e.getAttribute("opacity") || "1"),
+      blend: get(e, "blend", lookup(ORA_BLEND_OPS, op) || "normal"),
+      operator: get(e, "operator", lookup(ORA_OPERATOR_OPS, op) || "source-over"),
+      filter: get(e, "filter", "bilinear"),
+      clip: get(e, "clip", "false") == "true",
+      adjustment: get(e, "adjustment", null)
+        ? { type: get(e, "adjustment"), params: JSON.parse(get(e, "params", "{}")) }
+        : null,
+      shape: get(e, "shape", null)
+        ? { type: get(e, "shape"), params: JSON.parse(get(e, "params", "{}")) }
+        : null,
+      filters: JSON.parse(get(e, "filters", "[]")),
+      transform: {
+        rotation: t[0],
+        scaleX: t[1],
+        scaleY: t[2],
+        skewX: t[3],
+        translateX: t[4],
+        translateY: t[5],
+      },
+    });
+  }
+  return composition;
+}
+
+// CRC-32 lookup table used by the zip writer.
+var CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+// Returns the CRC-32 checksum of the given byte array.
+function Crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Returns a zip archive as a Uint8Array containing the given entries.
+// Each entry has a name and data as a Uint8Array or a string.
+// The entries are stored without compression, since PNG data is already compressed
+// and OpenRaster requires the first entry (mimetype) to be stored as is.
+function WriteZip(entries) {
+  let encoder = new TextEncoder();
+  let locals = [];
+  let centrals = [];
+  let offset = 0;
+  for (let i = 0; i < entries.length; i++) {
+    let name = encoder.encode(entries[i].name);
+    let data = entries[i].data;
+    if (typeof data == "string") data = encoder.encode(data);
+    let crc = Crc32(data);
+
+    let local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed to extract
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // compressed size
+    local.setUint32(22, data.length, true); // uncompressed size
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    let central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory header signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed to extract
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // offset of the local header
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+  let size = 0;
+  for (let i = 0; i < centrals.length; i++) size += centrals[i].length;
+  let end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+
+  let parts = locals.concat(centrals, [new Uint8Array(end.buffer)]);
+  let total = 0;
+  for (let i = 0; i < parts.length; i++) total += parts[i].length;
+  let zip = new Uint8Array(total);
+  for (let i = 0, p = 0; i < parts.length; p += parts[i].length, i++) {
+    zip.set(parts[i], p);
+  }
+  return zip;
+}
+
+// Reads the zip archive in the given Uint8Array.
+// Returns a Promise that resolves to an object mapping entry names to Uint8Array data.
+// Stored and deflated entries are supported.
+async function ReadZip(bytes) {
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let decoder = new TextDecoder();
+
+  // Find the end of central directory record, which is followed by a comment of up to 64KB
+  let end = -1;
+  for (let i = bytes.length - 22; i >= 0 && i >= bytes.length - 22 - 65535; i--) {
+    if (view.getUint32(i, true) == 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a zip file");
+
+  let count = view.getUint16(end + 10, true);
+  let p = view.getUint32(end + 16, true);
+  let entries = {};
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) != 0x02014b50) throw new Error("Corrupt zip directory");
+    let method = view.getUint16(p + 10, true);
+    let compressedSize = view.getUint32(p + 20, true);
+    let nameLength = view.getUint16(p + 28, true);
+    let extraLength = view.getUint16(p + 30, true);
+    let commentLength = view.getUint16(p + 32, true);
+    let local = view.getUint32(p + 42, true);
+    let name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLength));
+    p += 46 + nameLength + extraLength + commentLength;
+
+    // The data starts after the local header, whose extra field may differ from the central one
+    let start =
+      local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    let data = bytes.subarray(start, start + compressedSize);
+    if (method == 8) {
+      let stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+      data = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (method != 0) {
+      throw new Error("Unsupported zip compression method " + method + " for " + name);
+    }
+    entries[name] = data;
+  }
+  return entries;
+}
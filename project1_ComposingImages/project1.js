@@ -1,10 +1,38 @@
-// bgImg is the background image to be modified.
+// bgImg is the background image to be modified. It can be an ImageData or a float image created by CreateFloatImage.
 // fgImg is the foreground image.
 // fgOpac is the opacity of the foreground image.
 // fgPos is the position of the foreground image in pixels. It can be negative and (0,0) means the top-left pixels of the foreground and background are aligned.
-function composite(bgImg, fgImg, fgOpac, fgPos) {
+// options is an optional object with additional compositing settings:
+//   blend: name of the blend mode (one of BLEND_MODES). Defaults to "normal".
+//   operator: name of the Porter-Duff operator (one of COMPOSITE_OPERATORS). Defaults to "source-over".
+//   linear: if true, colors are converted from sRGB to linear light before blending and back afterwards.
+//           Float images are always blended in the color space they were created with.
+//   transform: optional 3x3 affine transformation (column-major array, see GetLayerTransform) that maps
+//              foreground pixel coordinates to background coordinates. fgPos is applied after it.
+//   filter: resampling filter for transformed foregrounds (one of SAMPLE_FILTERS). Defaults to "bilinear".
+//   mask: optional grayscale mask with the same size as fgImg (see CreateMask). Its red channel scales the foreground alpha.
+//   clip: optional rectangle { x, y, width, height } in background pixels. Only the pixels inside it are modified.
+function composite(bgImg, fgImg, fgOpac, fgPos, options) {
+  options = options || {};
+  let blend = options.blend || "normal";
+  let separable = SEPARABLE_BLEND[blend];
+  let nonSeparable = NON_SEPARABLE_BLEND[blend];
+  if (!separable && !nonSeparable) {
+    throw new Error("Unknown blend mode: " + blend);
+  }
+  let operator = PORTER_DUFF[options.operator || "source-over"];
+  if (!operator) {
+    throw new Error("Unknown composite operator: " + options.operator);
+  }
+
+  if (options.mask) {
+    fgImg = ApplyMask(fgImg, options.mask);
+  }
+
   let bgData = bgImg.data;
   let fgData = fgImg.data;
+  let bgFloat = bgData instanceof Float32Array;
+  let linear = bgFloat ? bgImg.linear : !!options.linear;
   let bgWidth = bgImg.width;
   let bgHeight = bgImg.height;
   let fgWidth = fgImg.width;
@@ -13,46 +41,943 @@ function composite(bgImg, fgImg, fgOpac, fgPos) {
   let fgX = fgPos.x;
   let fgY = fgPos.y;
 
-  // Loop through each pixel in the foreground image
-  for (let y = 0; y < fgHeight; y++) {
-    for (let x = 0; x < fgWidth; x++) {
-      // Calculate the index of the current pixel in the foreground image
-      let fgIndex = (y * fgWidth + x) * 4;
+  // Transformed foregrounds are resampled: each background pixel center is mapped
+  // back into the foreground image using the inverse transformation.
+  let transformed = !!options.transform;
+  let inverse = null;
+  let sampler = null;
+  let texel = [0, 0, 0, 0];
+  let fgBounds = { minX: fgX, minY: fgY, maxX: fgX + fgWidth, maxY: fgY + fgHeight };
+  if (transformed) {
+    let m = ApplyTransform(options.transform, [1, 0, 0, 0, 1, 0, fgX, fgY, 1]);
+    inverse = InverseTransform(m);
+    sampler = CreateSampler(fgImg, options.filter || "bilinear", linear);
+    // Filters can reach up to two pixels beyond the image borders
+    fgBounds = GetTransformedBounds(m, -2, -2, fgWidth + 2, fgHeight + 2);
+    if (!inverse) {
+      fgBounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    }
+  }
 
-      // Compute the corresponding background coordinates
-      let bgX = fgX + x;
-      let bgY = fgY + y;
+  // Bounded operators keep the background where the foreground is transparent,
+  // so only the background pixels covered by the foreground need to be visited.
+  // The others also modify the background outside of the foreground image.
+  let minX = 0;
+  let minY = 0;
+  let maxX = bgWidth;
+  let maxY = bgHeight;
+  if (operator.bounded) {
+    minX = Math.max(minX, fgBounds.minX);
+    minY = Math.max(minY, fgBounds.minY);
+    maxX = Math.min(maxX, fgBounds.maxX);
+    maxY = Math.min(maxY, fgBounds.maxY);
+  }
+  if (options.clip) {
+    minX = Math.max(minX, options.clip.x);
+    minY = Math.max(minY, options.clip.y);
+    maxX = Math.min(maxX, options.clip.x + options.clip.width);
+    maxY = Math.min(maxY, options.clip.y + options.clip.height);
+  }
 
-      // Ignore pixels that are out of the background image bounds
-      if (bgX < 0 || bgX >= bgWidth || bgY < 0 || bgY >= bgHeight) {
-        continue;
-      }
+  // Loop through each pixel of the background image that may change
+  for (let bgY = minY; bgY < maxY; bgY++) {
+    for (let bgX = minX; bgX < maxX; bgX++) {
+      // Compute the corresponding foreground coordinates
+      let x = bgX - fgX;
+      let y = bgY - fgY;
 
       // Calculate the index of the corresponding pixel in the background image
       let bgIndex = (bgY * bgWidth + bgX) * 4;
 
-      // Extract RGB and alpha values from the foreground image
-      let fgR = fgData[fgIndex];
-      let fgG = fgData[fgIndex + 1];
-      let fgB = fgData[fgIndex + 2];
-      let fgA = (fgData[fgIndex + 3] / 255) * fgOpac; // Scale alpha by given opacity
+      // Extract RGB and alpha values from the foreground image.
+      // Pixels outside of the foreground image are fully transparent.
+      // All color values below are in [0,1] and in the working color space.
+      let fgR = 0;
+      let fgG = 0;
+      let fgB = 0;
+      let fgA = 0;
+      if (transformed) {
+        if (inverse) {
+          let px = bgX + 0.5;
+          let py = bgY + 0.5;
+          sampler(
+            inverse[0] * px + inverse[3] * py + inverse[6],
+            inverse[1] * px + inverse[4] * py + inverse[7],
+            texel
+          );
+          fgR = texel[0];
+          fgG = texel[1];
+          fgB = texel[2];
+          fgA = texel[3] * fgOpac; // Scale alpha by given opacity
+        }
+      } else if (x >= 0 && x < fgWidth && y >= 0 && y < fgHeight) {
+        let fgIndex = (y * fgWidth + x) * 4;
+        let decode = linear ? SRGB_TO_LINEAR : BYTE_TO_UNIT;
+        fgR = decode[fgData[fgIndex]];
+        fgG = decode[fgData[fgIndex + 1]];
+        fgB = decode[fgData[fgIndex + 2]];
+        fgA = (fgData[fgIndex + 3] / 255) * fgOpac; // Scale alpha by given opacity
+      }
 
       // Extract RGB and alpha values from the background image
-      let bgR = bgData[bgIndex];
-      let bgG = bgData[bgIndex + 1];
-      let bgB = bgData[bgIndex + 2];
-      let bgA = bgData[bgIndex + 3] / 255;
+      let bgR, bgG, bgB, bgA;
+      if (bgFloat) {
+        bgR = bgData[bgIndex];
+        bgG = bgData[bgIndex + 1];
+        bgB = bgData[bgIndex + 2];
+        bgA = bgData[bgIndex + 3];
+      } else {
+        let decode = linear ? SRGB_TO_LINEAR : BYTE_TO_UNIT;
+        bgR = decode[bgData[bgIndex]];
+        bgG = decode[bgData[bgIndex + 1]];
+        bgB = decode[bgData[bgIndex + 2]];
+        bgA = bgData[bgIndex + 3] / 255;
+      }
+
+      // Replace the foreground color by the blended color where the background is opaque
+      if (blend != "normal" && bgA > 0 && fgA > 0) {
+        let cb = [bgR, bgG, bgB];
+        let cs = [fgR, fgG, fgB];
+        let mixed = nonSeparable
+          ? nonSeparable(cb, cs)
+          : [separable(cb[0], cs[0]), separable(cb[1], cs[1]), separable(cb[2], cs[2])];
+        fgR = (1 - bgA) * cs[0] + bgA * mixed[0];
+        fgG = (1 - bgA) * cs[1] + bgA * mixed[1];
+        fgB = (1 - bgA) * cs[2] + bgA * mixed[2];
+      }
 
-      // Compute the final alpha value after blending
-      let outA = fgA + bgA * (1 - fgA);
+      // Compute the contributions of the foreground and background using the operator
+      let f = operator.factors(fgA, bgA);
+      let fgW = fgA * f[0];
+      let bgW = bgA * f[1];
+
+      // Compute the final alpha value after compositing
+      let outA = fgW + bgW;
 
       // If there is any opacity, blend the colors
+      let outR = 0;
+      let outG = 0;
+      let outB = 0;
       if (outA > 0) {
-        bgData[bgIndex] = (fgR * fgA + bgR * bgA * (1 - fgA)) / outA; // Blend red channel
-        bgData[bgIndex + 1] = (fgG * fgA + bgG * bgA * (1 - fgA)) / outA; // Blend green channel
-        bgData[bgIndex + 2] = (fgB * fgA + bgB * bgA * (1 - fgA)) / outA; // Blend blue channel
-        bgData[bgIndex + 3] = outA * 255; // Convert final alpha back to 0-255 range
+        outR = (fgR * fgW + bgR * bgW) / outA; // Blend red channel
+        outG = (fgG * fgW + bgG * bgW) / outA; // Blend green channel
+        outB = (fgB * fgW + bgB * bgW) / outA; // Blend blue channel
+      }
+
+      // Store the result, converting back to the 0-255 range for byte images
+      if (bgFloat) {
+        bgData[bgIndex] = outR;
+        bgData[bgIndex + 1] = outG;
+        bgData[bgIndex + 2] = outB;
+        bgData[bgIndex + 3] = outA;
+      } else if (linear) {
+        bgData[bgIndex] = LinearToSRGB(outR) * 255;
+        bgData[bgIndex + 1] = LinearToSRGB(outG) * 255;
+        bgData[bgIndex + 2] = LinearToSRGB(outB) * 255;
+        bgData[bgIndex + 3] = outA * 255;
+      } else {
+        bgData[bgIndex] = outR * 255;
+        bgData[bgIndex + 1] = outG * 255;
+        bgData[bgIndex + 2] = outB * 255;
+        bgData[bgIndex + 3] = outA * 255;
+      }
+    }
+  }
+}
+
+// Returns a grayscale mask with the same size as the given image.
+// The gray level of each mask pixel is the luminance of the image pixel scaled by its alpha,
+// so that transparent parts of the image hide the masked layer.
+// If img is omitted, the mask has the given width and height and it is fully white.
+function CreateMask(width, height, img) {
+  let data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    let v = 255;
+    if (img) {
+      v = (0.3 * img.data[i] + 0.59 * img.data[i + 1] + 0.11 * img.data[i + 2]) * (img.data[i + 3] / 255);
+    }
+    data[i] = data[i + 1] = data[i + 2] = v;
+    data[i + 3] = 255;
+  }
+  return { width: width, height: height, data: data };
+}
+
+// Returns a copy of the given image with its alpha values multiplied by the red channel of the mask.
+function ApplyMask(img, mask) {
+  if (mask.width != img.width || mask.height != img.height) {
+    throw new Error("Mask size does not match the image size");
+  }
+  let data = img.data.slice();
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = (data[i] * mask.data[i - 3]) / 255;
+  }
+  return { width: img.width, height: img.height, data: data };
+}
+
+// Paints a round brush stroke dab into the mask at pixel location (x,y).
+// The brush has the given radius and it moves the mask toward the given gray value,
+// with full strength inside the hardness fraction of the radius and a linear falloff outside.
+function PaintMask(mask, x, y, radius, value, hardness) {
+  let x0 = Math.max(0, Math.floor(x - radius));
+  let y0 = Math.max(0, Math.floor(y - radius));
+  let x1 = Math.min(mask.width - 1, Math.ceil(x + radius));
+  let y1 = Math.min(mask.height - 1, Math.ceil(y + radius));
+  let inner = radius * hardness;
+  for (let j = y0; j <= y1; j++) {
+    for (let i = x0; i <= x1; i++) {
+      let dx = i + 0.5 - x;
+      let dy = j + 0.5 - y;
+      let dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist > radius) continue;
+      let strength = dist <= inner ? 1 : (radius - dist) / (radius - inner);
+      let k = (j * mask.width + i) * 4;
+      let v = mask.data[k] + (value - mask.data[k]) * strength;
+      mask.data[k] = mask.data[k + 1] = mask.data[k + 2] = v;
+    }
+  }
+}
+
+// Names of the resampling filters supported by CreateSampler.
+var SAMPLE_FILTERS = ["nearest", "bilinear", "bicubic"];
+
+// Returns a function that samples the given ImageData at continuous pixel coordinates (u,v),
+// where (0,0) is the top-left corner of the image and pixel centers are at half-integers.
+// The returned function writes [r,g,b,a] in [0,1] with straight alpha into its out argument.
+// Colors are filtered with premultiplied alpha, so transparent pixels do not bleed into the edges.
+// Locations outside of the image are treated as fully transparent.
+function CreateSampler(img, filter, linear) {
+  let data = img.data;
+  let width = img.width;
+  let height = img.height;
+  let decode = linear ? SRGB_TO_LINEAR : BYTE_TO_UNIT;
+  let sum = [0, 0, 0, 0];
+
+  // Adds the premultiplied color of the pixel at (x,y) with the given weight to sum
+  function accumulate(x, y, weight) {
+    if (weight == 0 || x < 0 || y < 0 || x >= width || y >= height) return;
+    let i = (y * width + x) * 4;
+    let a = (data[i + 3] / 255) * weight;
+    sum[0] += decode[data[i]] * a;
+    sum[1] += decode[data[i + 1]] * a;
+    sum[2] += decode[data[i + 2]] * a;
+    sum[3] += a;
+  }
+
+  // Converts the accumulated color back to straight alpha
+  function resolve(out) {
+    let a = sum[3];
+    for (let c = 0; c < 3; c++) {
+      out[c] = a > 0 ? Math.min(1, Math.max(0, sum[c] / a)) : 0;
+    }
+    out[3] = Math.min(1, Math.max(0, a));
+    sum[0] = sum[1] = sum[2] = sum[3] = 0;
+  }
+
+  switch (filter) {
+    case "nearest":
+      return function (u, v, out) {
+        accumulate(Math.floor(u), Math.floor(v), 1);
+        resolve(out);
+      };
+    case "bilinear":
+      return function (u, v, out) {
+        let fx = u - 0.5;
+        let fy = v - 0.5;
+        let x0 = Math.floor(fx);
+        let y0 = Math.floor(fy);
+        let tx = fx - x0;
+        let ty = fy - y0;
+        accumulate(x0, y0, (1 - tx) * (1 - ty));
+        accumulate(x0 + 1, y0, tx * (1 - ty));
+        accumulate(x0, y0 + 1, (1 - tx) * ty);
+        accumulate(x0 + 1, y0 + 1, tx * ty);
+        resolve(out);
+      };
+    case "bicubic":
+      return function (u, v, out) {
+        let fx = u - 0.5;
+        let fy = v - 0.5;
+        let x0 = Math.floor(fx);
+        let y0 = Math.floor(fy);
+        for (let j = -1; j <= 2; j++) {
+          let wy = CubicWeight(fy - (y0 + j));
+          for (let i = -1; i <= 2; i++) {
+            accumulate(x0 + i, y0 + j, CubicWeight(fx - (x0 + i)) * wy);
+          }
+        }
+        resolve(out);
+      };
+  }
+  throw new Error("Unknown sample filter: " + filter);
+}
+
+// Returns the weight of the Keys cubic convolution kernel (a = -0.5) at distance t
+function CubicWeight(t) {
+  let a = -0.5;
+  t = Math.abs(t);
+  if (t <= 1) return (a + 2) * t * t * t - (a + 3) * t * t + 1;
+  if (t < 2) return a * t * t * t - 5 * a * t * t + 8 * a * t - 4 * a;
+  return 0;
+}
+
+// Returns a 3x3 transformation matrix as an array of 9 values in column-major order,
+// using the same format as GetTransform in project2.
+// The layer of the given size is first scaled, skewed, and rotated around its center,
+// and then translated by the given (possibly fractional) offset.
+// t holds rotation and skewX in degrees, scaleX, scaleY, translateX and translateY.
+function GetLayerTransform(width, height, t) {
+  let cx = width / 2;
+  let cy = height / 2;
+  let rad = (t.rotation * Math.PI) / 180;
+  let cos = Math.cos(rad);
+  let sin = Math.sin(rad);
+  let skew = Math.tan((t.skewX * Math.PI) / 180);
+
+  let center = [1, 0, 0, 0, 1, 0, -cx, -cy, 1];
+  let scale = [t.scaleX, 0, 0, 0, t.scaleY, 0, 0, 0, 1];
+  let shear = [1, 0, 0, skew, 1, 0, 0, 0, 1];
+  let rotate = [cos, sin, 0, -sin, cos, 0, 0, 0, 1];
+  let translate = [1, 0, 0, 0, 1, 0, cx + t.translateX, cy + t.translateY, 1];
+
+  let m = ApplyTransform(center, scale);
+  m = ApplyTransform(m, shear);
+  m = ApplyTransform(m, rotate);
+  return ApplyTransform(m, translate);
+}
+
+// Returns the combined 3x3 transformation that first applies trans1 and then trans2.
+// Both matrices are arrays of 9 values in column-major order, as in project2.
+function ApplyTransform(trans1, trans2) {
+  let result = new Array(9).fill(0);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      for (let k = 0; k < 3; k++) {
+        result[col * 3 + row] += trans2[k * 3 + row] * trans1[col * 3 + k];
       }
     }
   }
+  return result;
+}
+
+// Returns the inverse of the given 3x3 affine transformation in column-major order,
+// or null if the transformation is not invertible.
+function InverseTransform(m) {
+  let det = m[0] * m[4] - m[1] * m[3];
+  if (Math.abs(det) < 1e-12) return null;
+  let a = m[4] / det;
+  let b = -m[1] / det;
+  let c = -m[3] / det;
+  let d = m[0] / det;
+  return [a, b, 0, c, d, 0, -(a * m[6] + c * m[7]), -(b * m[6] + d * m[7]), 1];
+}
+
+// Returns the integer pixel bounds that contain the rectangle (x0,y0)-(x1,y1)
+// after it is mapped by the given transformation.
+function GetTransformedBounds(m, x0, y0, x1, y1) {
+  let corners = [x0, y0, x1, y0, x0, y1, x1, y1];
+  let bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (let i = 0; i < 8; i += 2) {
+    let x = m[0] * corners[i] + m[3] * corners[i + 1] + m[6];
+    let y = m[1] * corners[i] + m[4] * corners[i + 1] + m[7];
+    bounds.minX = Math.min(bounds.minX, Math.floor(x));
+    bounds.minY = Math.min(bounds.minY, Math.floor(y));
+    bounds.maxX = Math.max(bounds.maxX, Math.ceil(x));
+    bounds.maxY = Math.max(bounds.maxY, Math.ceil(y));
+  }
+  return bounds;
+}
+
+// Lookup tables for converting 8-bit channel values to [0,1],
+// either directly or by decoding the sRGB transfer function to linear light.
+var BYTE_TO_UNIT = new Float32Array(256);
+var SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  BYTE_TO_UNIT[i] = i / 255;
+  SRGB_TO_LINEAR[i] = SRGBToLinear(i / 255);
+}
+
+// Converts an sRGB encoded value in [0,1] to linear light.
+function SRGBToLinear(v) {
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+// Converts a linear light value in [0,1] to sRGB encoding.
+function LinearToSRGB(v) {
+  if (v <= 0) return 0;
+  if (v >= 1) return 1;
+  return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+// Returns a float copy of the given ImageData for use as the background of composite.
+// Channels are stored as values in [0,1] with straight (non-premultiplied) alpha,
+// so repeated compositing passes do not accumulate rounding errors.
+// If linear is true, the colors are decoded from sRGB to linear light.
+function CreateFloatImage(img, linear) {
+  let data = new Float32Array(img.data.length);
+  let decode = linear ? SRGB_TO_LINEAR : BYTE_TO_UNIT;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = decode[img.data[i]];
+    data[i + 1] = decode[img.data[i + 1]];
+    data[i + 2] = decode[img.data[i + 2]];
+    data[i + 3] = img.data[i + 3] / 255;
+  }
+  return { width: img.width, height: img.height, data: data, linear: !!linear };
+}
+
+// Converts a float image created by CreateFloatImage back to 8-bit RGBA values.
+// The result is written into the given ImageData, which must have the same size.
+// If the optional rect { x, y, width, height } is given, only the pixels inside it are converted.
+function StoreFloatImage(floatImg, img, rect) {
+  let data = floatImg.data;
+  rect = rect || { x: 0, y: 0, width: img.width, height: img.height };
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      let i = (y * img.width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        let v = floatImg.linear ? LinearToSRGB(data[i + c]) : data[i + c];
+        img.data[i + c] = v * 255;
+      }
+      img.data[i + 3] = data[i + 3] * 255;
+    }
+  }
+}
+
+// Porter-Duff compositing operators.
+// The factors function takes the foreground (as) and background (ab) alpha values
+// and returns the fractions [Fa, Fb] of the foreground and background that are kept.
+// Bounded operators leave the background unchanged where the foreground is transparent.
+var PORTER_DUFF = {
+  "source-over": {
+    bounded: true,
+    factors: function (as, ab) {
+      return [1, 1 - as];
+    },
+  },
+  "source-in": {
+    bounded: false,
+    factors: function (as, ab) {
+      return [ab, 0];
+    },
+  },
+  "source-out": {
+    bounded: false,
+    factors: function (as, ab) {
+      return [1 - ab, 0];
+    },
+  },
+  "source-atop": {
+    bounded: true,
+    factors: function (as, ab) {
+      return [ab, 1 - as];
+    },
+  },
+  "destination-over": {
+    bounded: true,
+    factors: function (as, ab) {
+      return [1 - ab, 1];
+    },
+  },
+  "destination-in": {
+    bounded: false,
+    factors: function (as, ab) {
+      return [0, as];
+    },
+  },
+  "destination-out": {
+    bounded: true,
+    factors: function (as, ab) {
+      return [0, 1 - as];
+    },
+  },
+  "destination-atop": {
+    bounded: false,
+    factors: function (as, ab) {
+      return [1 - ab, as];
+    },
+  },
+  xor: {
+    bounded: true,
+    factors: function (as, ab) {
+      return [1 - ab, 1 - as];
+    },
+  },
+  clear: {
+    bounded: false,
+    factors: function (as, ab) {
+      return [0, 0];
+    },
+  },
+};
+
+// Names of all supported composite operators, in the order they are listed in the interface.
+var COMPOSITE_OPERATORS = Object.keys(PORTER_DUFF);
+
+// Blend modes that are applied to each color channel independently.
+// Each function takes the backdrop (cb) and source (cs) channel values in [0,1]
+// and returns the blended channel value, following the W3C Compositing and Blending spec.
+var SEPARABLE_BLEND = {
+  normal: function (cb, cs) {
+    return cs;
+  },
+  multiply: function (cb, cs) {
+    return cb * cs;
+  },
+  screen: function (cb, cs) {
+    return cb + cs - cb * cs;
+  },
+  overlay: function (cb, cs) {
+    return SEPARABLE_BLEND["hard-light"](cs, cb);
+  },
+  darken: function (cb, cs) {
+    return Math.min(cb, cs);
+  },
+  lighten: function (cb, cs) {
+    return Math.max(cb, cs);
+  },
+  "color-dodge": function (cb, cs) {
+    if (cb == 0) return 0;
+    if (cs >= 1) return 1;
+    return Math.min(1, cb / (1 - cs));
+  },
+  "color-burn": function (cb, cs) {
+    if (cb >= 1) return 1;
+    if (cs == 0) return 0;
+    return 1 - Math.min(1, (1 - cb) / cs);
+  },
+  "hard-light": function (cb, cs) {
+    if (cs <= 0.5) return cb * 2 * cs;
+    return SEPARABLE_BLEND.screen(cb, 2 * cs - 1);
+  },
+  "soft-light": function (cb, cs) {
+    if (cs <= 0.5) return cb - (1 - 2 * cs) * cb * (1 - cb);
+    let d = cb <= 0.25 ? ((16 * cb - 12) * cb + 4) * cb : Math.sqrt(cb);
+    return cb + (2 * cs - 1) * (d - cb);
+  },
+  difference: function (cb, cs) {
+    return Math.abs(cb - cs);
+  },
+  exclusion: function (cb, cs) {
+    return cb + cs - 2 * cb * cs;
+  },
+};
+
+// Blend modes that operate on the whole color at once.
+// Each function takes the backdrop (cb) and source (cs) colors as [r,g,b] arrays in [0,1]
+// and returns the blended color in the same format.
+var NON_SEPARABLE_BLEND = {
+  hue: function (cb, cs) {
+    return SetLum(SetSat(cs, Sat(cb)), Lum(cb));
+  },
+  saturation: function (cb, cs) {
+    return SetLum(SetSat(cb, Sat(cs)), Lum(cb));
+  },
+  color: function (cb, cs) {
+    return SetLum(cs, Lum(cb));
+  },
+  luminosity: function (cb, cs) {
+    return SetLum(cb, Lum(cs));
+  },
+};
+
+// Names of all supported blend modes, in the order they are listed in the interface.
+var BLEND_MODES = Object.keys(SEPARABLE_BLEND).concat(
+  Object.keys(NON_SEPARABLE_BLEND)
+);
+
+// Helper functions for the non-separable blend modes.
+function Lum(c) {
+  return 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+}
+
+function ClipColor(c) {
+  let l = Lum(c);
+  let n = Math.min(c[0], c[1], c[2]);
+  let x = Math.max(c[0], c[1], c[2]);
+  let result = c.slice();
+  for (let i = 0; i < 3; i++) {
+    if (n < 0) result[i] = l + ((result[i] - l) * l) / (l - n);
+    if (x > 1) result[i] = l + ((result[i] - l) * (1 - l)) / (x - l);
+  }
+  return result;
+}
+
+function SetLum(c, l) {
+  let d = l - Lum(c);
+  return ClipColor([c[0] + d, c[1] + d, c[2] + d]);
+}
+
+function Sat(c) {
+  return Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+}
+
+function SetSat(c, s) {
+  // Find the indices of the maximum, middle and minimum components
+  let order = [0, 1, 2].sort(function (a, b) {
+    return c[a] - c[b];
+  });
+  let min = order[0];
+  let mid = order[1];
+  let max = order[2];
+  let result = [0, 0, 0];
+  if (c[max] > c[min]) {
+    result[mid] = ((c[mid] - c[min]) * s) / (c[max] - c[min]);
+    result[max] = s;
+  }
+  return result;
+}
+
+// Adjustment layers apply a color operation to everything below them instead of adding pixels.
+// Each adjustment has its default parameters and a create function, which takes the parameters
+// and returns a function that modifies an [r,g,b] color in [0,1] in place.
+// Adjustments work on sRGB encoded colors, and parameters use the 0-255 range where applicable.
+var ADJUSTMENTS = {
+  levels: {
+    params: { inBlack: 0, inWhite: 255, gamma: 1, outBlack: 0, outWhite: 255 },
+    create: function (p) {
+      let range = Math.max(1, p.inWhite - p.inBlack);
+      let power = 1 / Math.max(0.01, p.gamma);
+      return function (c) {
+        for (let i = 0; i < 3; i++) {
+          let v = Math.min(1, Math.max(0, (c[i] * 255 - p.inBlack) / range));
+          c[i] = (p.outBlack + Math.pow(v, power) * (p.outWhite - p.outBlack)) / 255;
+        }
+      };
+    },
+  },
+  curves: {
+    // Control points [input, output] of the curve that is applied to all three channels
+    params: { points: [[0, 0], [255, 255]] },
+    create: function (p) {
+      let lut = CurveLUT(p.points);
+      return function (c) {
+        for (let i = 0; i < 3; i++) {
+          let x = Math.min(1, Math.max(0, c[i])) * 255;
+          let i0 = Math.min(254, Math.floor(x));
+          c[i] = lut[i0] + (lut[i0 + 1] - lut[i0]) * (x - i0);
+        }
+      };
+    },
+  },
+  "hue-saturation": {
+    // hue in degrees, saturation and lightness in [-100,100]
+    params: { hue: 0, saturation: 0, lightness: 0 },
+    create: function (p) {
+      let s = 1 + Math.max(-100, p.saturation) / 100;
+      let l = Math.min(100, Math.max(-100, p.lightness)) / 100;
+      return function (c) {
+        let hsl = RGBToHSL(c);
+        let rgb = HSLToRGB(hsl[0] + p.hue / 360, Math.min(1, hsl[1] * s), hsl[2]);
+        for (let i = 0; i < 3; i++) {
+          c[i] = l < 0 ? rgb[i] * (1 + l) : rgb[i] + (1 - rgb[i]) * l;
+        }
+      };
+    },
+  },
+  "brightness-contrast": {
+    // brightness and contrast in [-100,100]
+    params: { brightness: 0, contrast: 0 },
+    create: function (p) {
+      let b = Math.min(100, Math.max(-100, p.brightness)) / 100;
+      let slope = Math.tan(((Math.min(99, Math.max(-100, p.contrast)) / 100 + 1) * Math.PI) / 4);
+      return function (c) {
+        for (let i = 0; i < 3; i++) {
+          let v = b < 0 ? c[i] * (1 + b) : c[i] + (1 - c[i]) * b;
+          c[i] = Math.min(1, Math.max(0, (v - 0.5) * slope + 0.5));
+        }
+      };
+    },
+  },
+  invert: {
+    params: {},
+    create: function (p) {
+      return function (c) {
+        c[0] = 1 - c[0];
+        c[1] = 1 - c[1];
+        c[2] = 1 - c[2];
+      };
+    },
+  },
+  threshold: {
+    // Colors with a luminance at or above the level become white, the others black
+    params: { level: 128 },
+    create: function (p) {
+      return function (c) {
+        c[0] = c[1] = c[2] = Lum(c) * 255 >= p.level ? 1 : 0;
+      };
+    },
+  },
+};
+
+// Names of all adjustment types, in the order they are listed in the interface.
+var ADJUSTMENT_TYPES = Object.keys(ADJUSTMENTS);
+
+// Returns a new adjustment { type, params } of the given type with the default parameters.
+function CreateAdjustment(type) {
+  if (!ADJUSTMENTS[type]) throw new Error("Unknown adjustment: " + type);
+  return { type: type, params: JSON.parse(JSON.stringify(ADJUSTMENTS[type].params)) };
+}
+
+// Applies the adjustment { type, params } to the given ImageData or float image in place.
+// strength in [0,1] mixes the original and adjusted colors, like the opacity of image layers.
+// Alpha is not modified. If the clip rectangle { x, y, width, height } is given,
+// only the pixels inside it are modified.
+function ApplyAdjustment(img, adjustment, strength, clip) {
+  let type = ADJUSTMENTS[adjustment.type];
+  if (!type) throw new Error("Unknown adjustment: " + adjustment.type);
+  let adjust = type.create(Object.assign({}, type.params, adjustment.params));
+  let data = img.data;
+  let float = data instanceof Float32Array;
+  let linear = float && img.linear;
+  let minX = 0;
+  let minY = 0;
+  let maxX = img.width;
+  let maxY = img.height;
+  if (clip) {
+    minX = Math.max(minX, clip.x);
+    minY = Math.max(minY, clip.y);
+    maxX = Math.min(maxX, clip.x + clip.width);
+    maxY = Math.min(maxY, clip.y + clip.height);
+  }
+  let c = [0, 0, 0];
+  let original = [0, 0, 0];
+  for (let y = minY; y < maxY; y++) {
+    for (let x = minX; x < maxX; x++) {
+      let i = (y * img.width + x) * 4;
+      if (data[i + 3] == 0) continue;
+      for (let k = 0; k < 3; k++) {
+        let v = data[i + k];
+        c[k] = original[k] = float ? (linear ? LinearToSRGB(v) : v) : v / 255;
+      }
+      adjust(c);
+      for (let k = 0; k < 3; k++) {
+        let v = original[k] + (c[k] - original[k]) * strength;
+        data[i + k] = float ? (linear ? SRGBToLinear(v) : v) : v * 255;
+      }
+    }
+  }
+}
+
+// Returns a lookup table of 256 output values in [0,1] for the curve through the given
+// control points [input, output] in the 0-255 range. The curve is a monotone cubic spline,
+// so that it does not overshoot between the points, and it is flat beyond the first and last points.
+function CurveLUT(points) {
+  let p = points.slice().sort(function (a, b) {
+    return a[0] - b[0];
+  });
+  let lut = new Float32Array(256);
+  let n = p.length;
+  if (n == 0) {
+    for (let i = 0; i < 256; i++) lut[i] = i / 255;
+    return lut;
+  }
+  // Slopes of the segments and tangents at the points (Fritsch-Carlson)
+  let d = [];
+  for (let i = 0; i < n - 1; i++) {
+    let dx = p[i + 1][0] - p[i][0];
+    d.push(dx > 0 ? (p[i + 1][1] - p[i][1]) / dx : 0);
+  }
+  let m = [];
+  for (let i = 0; i < n; i++) {
+    if (i == 0) m.push(n > 1 ? d[0] : 0);
+    else if (i == n - 1) m.push(d[n - 2]);
+    else m.push(d[i - 1] * d[i] <= 0 ? 0 : (d[i - 1] + d[i]) / 2);
+  }
+  for (let i = 0; i < n - 1; i++) {
+    if (d[i] == 0) {
+      m[i] = m[i + 1] = 0;
+    } else {
+      let a = m[i] / d[i];
+      let b = m[i + 1] / d[i];
+      let s = a * a + b * b;
+      if (s > 9) {
+        m[i] = (3 * a * d[i]) / Math.sqrt(s);
+        m[i + 1] = (3 * b * d[i]) / Math.sqrt(s);
+      }
+    }
+  }
+  let k = 0;
+  for (let x = 0; x < 256; x++) {
+    let v;
+    if (x <= p[0][0]) {
+      v = p[0][1];
+    } else if (x >= p[n - 1][0]) {
+      v = p[n - 1][1];
+    } else {
+      while (x > p[k + 1][0]) k++;
+      let h = p[k + 1][0] - p[k][0];
+      let t = (x - p[k][0]) / h;
+      let t2 = t * t;
+      let t3 = t2 * t;
+      v =
+        (2 * t3 - 3 * t2 + 1) * p[k][1] +
+        (t3 - 2 * t2 + t) * h * m[k] +
+        (-2 * t3 + 3 * t2) * p[k + 1][1] +
+        (t3 - t2) * h * m[k + 1];
+    }
+    lut[x] = Math.min(1, Math.max(0, v / 255));
+  }
+  return lut;
+}
+
+// Converts an [r,g,b] color in [0,1] to [hue, saturation, lightness], all in [0,1].
+function RGBToHSL(c) {
+  let max = Math.max(c[0], c[1], c[2]);
+  let min = Math.min(c[0], c[1], c[2]);
+  let l = (max + min) / 2;
+  let d = max - min;
+  if (d == 0) return [0, 0, l];
+  let s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max == c[0]) h = (c[1] - c[2]) / d + (c[1] < c[2] ? 6 : 0);
+  else if (max == c[1]) h = (c[2] - c[0]) / d + 2;
+  else h = (c[0] - c[1]) / d + 4;
+  return [h / 6, s, l];
+}
+
+// Converts hue, saturation, and lightness to an [r,g,b] color in [0,1].
+// The hue wraps around, so it can be outside of [0,1].
+function HSLToRGB(h, s, l) {
+  h -= Math.floor(h);
+  if (s == 0) return [l, l, l];
+  let q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  let p = 2 * l - q;
+  function channel(t) {
+    t -= Math.floor(t);
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  }
+  return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)];
+}
+
+// Returns a copy of the image resized to the given width and height, as { width, height, data }.
+// Each output pixel is a weighted average of the source pixels with the Keys cubic kernel,
+// which is widened by the scale factor when the image is reduced, so that downsampling
+// averages all the source pixels instead of skipping some and aliasing.
+// Colors are averaged with premultiplied alpha, in linear light if linear is true.
+function ResizeImage(img, width, height, linear) {
+  let decode = linear ? SRGB_TO_LINEAR : BYTE_TO_UNIT;
+  let src = new Float32Array(img.width * img.height * 4);
+  for (let i = 0; i < src.length; i += 4) {
+    let a = img.data[i + 3] / 255;
+    src[i] = decode[img.data[i]] * a;
+    src[i + 1] = decode[img.data[i + 1]] * a;
+    src[i + 2] = decode[img.data[i + 2]] * a;
+    src[i + 3] = a;
+  }
+  // Each pass resizes the rows and transposes the image, so the second pass resizes the columns
+  let dst = ResizeRows(ResizeRows(src, img.width, img.height, width), img.height, width, height);
+
+  let data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    let a = Math.min(1, Math.max(0, dst[i + 3]));
+    for (let c = 0; c < 3; c++) {
+      let v = a > 0 ? Math.min(1, Math.max(0, dst[i + c] / a)) : 0;
+      data[i + c] = Math.round((linear ? LinearToSRGB(v) : v) * 255);
+    }
+    data[i + 3] = Math.round(a * 255);
+  }
+  return { width: width, height: height, data: data };
+}
+
+// Resizes the rows of a float RGBA pixel array with the given width and height to newWidth
+// pixels for ResizeImage, and returns the result transposed, so that it has height columns and
+// newWidth rows. Pixels beyond the ends of a row are treated as copies of the end pixels.
+function ResizeRows(data, width, height, newWidth) {
+  let result = new Float32Array(newWidth * height * 4);
+  let scale = width / newWidth;
+  let filterScale = Math.max(1, scale);
+  for (let x = 0; x < newWidth; x++) {
+    let center = (x + 0.5) * scale;
+    let first = Math.floor(center - 2 * filterScale);
+    let last = Math.ceil(center + 2 * filterScale);
+    let weights = [];
+    let total = 0;
+    for (let k = first; k <= last; k++) {
+      let w = CubicWeight((k + 0.5 - center) / filterScale);
+      weights.push(w);
+      total += w;
+    }
+    for (let y = 0; y < height; y++) {
+      let o = (x * height + y) * 4;
+      for (let k = first; k <= last; k++) {
+        let w = weights[k - first] / total;
+        if (w == 0) continue;
+        let i = (y * width + Math.min(width - 1, Math.max(0, k))) * 4;
+        result[o] += data[i] * w;
+        result[o + 1] += data[i + 1] * w;
+        result[o + 2] += data[i + 2] * w;
+        result[o + 3] += data[i + 3] * w;
+      }
+    }
+  }
+  return result;
+}
+
+// Returns the smallest rectangle { x, y, width, height } that contains all pixels of the image
+// that are not fully transparent, or null if the whole image is transparent.
+function GetVisibleBounds(img) {
+  let minX = img.width;
+  let minY = img.height;
+  let maxX = -1;
+  let maxY = -1;
+  for (let y = 0; y < img.height; y++) {
+    for (let x = 0; x < img.width; x++) {
+      if (img.data[(y * img.width + x) * 4 + 3] == 0) continue;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = y;
+    }
+  }
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+// Returns the pixels of the image inside the rectangle as { width, height, data }.
+// Pixels outside of the image are transparent.
+function CropImage(img, rect) {
+  let data = new Uint8ClampedArray(rect.width * rect.height * 4);
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      let sx = rect.x + x;
+      let sy = rect.y + y;
+      if (sx < 0 || sy < 0 || sx >= img.width || sy >= img.height) continue;
+      let i = (sy * img.width + sx) * 4;
+      data.set(img.data.subarray(i, i + 4), (y * rect.width + x) * 4);
+    }
+  }
+  return { width: rect.width, height: rect.height, data: data };
+}
+
+// Returns the image exported with the settings { crop, width, height, opaque } as { width, height, data }.
+// If crop is true, the image is cropped to its visible pixels before it is resized to the width and height
+// of GetExportSize, in linear light if linear is true. If opaque is true, the image is flattened onto black
+// for formats without alpha.
+function ExportImage(img, settings, linear) {
+  if (settings.crop) {
+    let bounds = GetVisibleBounds(img);
+    if (bounds) img = CropImage(img, bounds);
+  }
+  let size = GetExportSize(img.width, img.height, settings.width, settings.height);
+  if (size.width != img.width || size.height != img.height) {
+    img = ResizeImage(img, size.width, size.height, linear);
+  }
+  if (settings.opaque) {
+    let opaque = { width: img.width, height: img.height, data: new Uint8ClampedArray(img.data.length) };
+    for (let i = 3; i < opaque.data.length; i += 4) opaque.data[i] = 255;
+    composite(opaque, img, 1, { x: 0, y: 0 });
+    img = opaque;
+  }
+  return img;
+}
+
+// Returns the { width, height } of the exported image for an image of the given size and the requested
+// width and height. A missing width or height keeps the aspect ratio, and if both are missing the size is kept.
+function GetExportSize(width, height, w, h) {
+  if (!(w > 0) && !(h > 0)) return { width: width, height: height };
+  if (!(w > 0)) w = Math.max(1, Math.round((width * h) / height));
+  if (!(h > 0)) h = Math.max(1, Math.round((height * w) / width));
+  return { width: w, height: h };
 }
@@ -0,0 +1,172 @@
+// Text and vector shape layers for project1.
+// A shape layer keeps its shape { type, params } and an image that is rasterized from it with a
+// 2D canvas, so that it is composited like any other layer and stays editable afterwards.
+// The image covers the bounding box of the shape including its stroke.
+
+// Each shape has its default parameters, optional input descriptions for the interface
+// (a list of choices, or "multiline" for text areas), a bounds function that returns the
+// rectangle { x, y, width, height } covered by the shape without its stroke, and a draw
+// function that draws it. Both take a 2D context and the parameters.
+// Colors are given as "#rrggbb" strings.
+var SHAPE_LAYERS = {
+  text: {
+    params: {
+      text: "Text",
+      font: "Arial",
+      size: 48,
+      bold: false,
+      italic: false,
+      color: "#ffffff",
+      align: "left",
+      lineHeight: 1.2,
+    },
+    inputs: { text: "multiline", align: ["left", "center", "right"] },
+    bounds: function (ctx, p) {
+      ctx.font = ShapeFont(p);
+      let lines = String(p.text).split("\n");
+      let width = 0;
+      for (let i = 0; i < lines.length; i++) {
+        width = Math.max(width, ctx.measureText(lines[i]).width);
+      }
+      return { x: 0, y: 0, width: width, height: lines.length * p.size * p.lineHeight };
+    },
+    draw: function (ctx, p) {
+      let width = this.bounds(ctx, p).width;
+      let lines = String(p.text).split("\n");
+      ctx.font = ShapeFont(p);
+      ctx.fillStyle = p.color;
+      ctx.textAlign = p.align;
+      ctx.textBaseline = "top";
+      let x = p.align == "center" ? width / 2 : p.align == "right" ? width : 0;
+      for (let i = 0; i < lines.length; i++) {
+        // Each line is centered vertically in its line height
+        ctx.fillText(lines[i], x, (i + (p.lineHeight - 1) / 2) * p.size);
+      }
+    },
+  },
+  rectangle: {
+    params: {
+      width: 200,
+      height: 120,
+      cornerRadius: 0,
+      fill: true,
+      fillColor: "#3080ff",
+      stroke: true,
+      strokeColor: "#ffffff",
+      strokeWidth: 4,
+    },
+    bounds: function (ctx, p) {
+      return { x: 0, y: 0, width: p.width, height: p.height };
+    },
+    draw: function (ctx, p) {
+      let r = Math.max(0, Math.min(p.cornerRadius, p.width / 2, p.height / 2));
+      ctx.beginPath();
+      ctx.moveTo(r, 0);
+      ctx.arcTo(p.width, 0, p.width, p.height, r);
+      ctx.arcTo(p.width, p.height, 0, p.height, r);
+      ctx.arcTo(0, p.height, 0, 0, r);
+      ctx.arcTo(0, 0, p.width, 0, r);
+      ctx.closePath();
+      FillAndStroke(ctx, p);
+    },
+  },
+  ellipse: {
+    params: {
+      width: 200,
+      height: 120,
+      fill: true,
+      fillColor: "#ff8030",
+      stroke: true,
+      strokeColor: "#ffffff",
+      strokeWidth: 4,
+    },
+    bounds: function (ctx, p) {
+      return { x: 0, y: 0, width: p.width, height: p.height };
+    },
+    draw: function (ctx, p) {
+      ctx.beginPath();
+      ctx.ellipse(p.width / 2, p.height / 2, p.width / 2, p.height / 2, 0, 0, 2 * Math.PI);
+      FillAndStroke(ctx, p);
+    },
+  },
+  polygon: {
+    // Vertices [x, y] in pixels. Open polygons are polylines, which are still filled if fill is true.
+    params: {
+      points: [[0, 0], [160, 40], [60, 140]],
+      closed: true,
+      fill: true,
+      fillColor: "#30c060",
+      stroke: true,
+      strokeColor: "#ffffff",
+      strokeWidth: 4,
+    },
+    bounds: function (ctx, p) {
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+      for (let i = 0; i < p.points.length; i++) {
+        minX = Math.min(minX, p.points[i][0]);
+        minY = Math.min(minY, p.points[i][1]);
+        maxX = Math.max(maxX, p.points[i][0]);
+        maxY = Math.max(maxY, p.points[i][1]);
+      }
+      if (p.points.length == 0) return { x: 0, y: 0, width: 0, height: 0 };
+      return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    },
+    draw: function (ctx, p) {
+      ctx.beginPath();
+      for (let i = 0; i < p.points.length; i++) {
+        ctx.lineTo(p.points[i][0], p.points[i][1]);
+      }
+      if (p.closed) ctx.closePath();
+      FillAndStroke(ctx, p);
+    },
+  },
+};
+
+// Names of all shape types, in the order they are listed in the interface.
+var SHAPE_TYPES = Object.keys(SHAPE_LAYERS);
+
+// Returns a new shape { type, params } of the given type with the default parameters.
+function CreateShape(type) {
+  if (!SHAPE_LAYERS[type]) throw new Error("Unknown shape: " + type);
+  return { type: type, params: JSON.parse(JSON.stringify(SHAPE_LAYERS[type].params)) };
+}
+
+// Rasterizes the shape { type, params } and returns an ImageData that just contains it.
+function RasterizeShape(shape) {
+  let type = SHAPE_LAYERS[shape.type];
+  if (!type) throw new Error("Unknown shape: " + shape.type);
+  let p = Object.assign({}, type.params, shape.params);
+  let canvas = document.createElement("canvas");
+  let b = type.bounds(canvas.getContext("2d"), p);
+  // Round joins keep the stroke within half of its width from the path
+  let pad = (p.stroke ? Math.ceil(p.strokeWidth / 2) : 0) + 1;
+  canvas.width = Math.max(1, Math.ceil(b.width) + 2 * pad);
+  canvas.height = Math.max(1, Math.ceil(b.height) + 2 * pad);
+  let ctx = canvas.getContext("2d");
+  ctx.translate(pad - b.x, pad - b.y);
+  type.draw(ctx, p);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Returns the CSS font of the text shape parameters.
+function ShapeFont(p) {
+  return (p.italic ? "italic " : "") + (p.bold ? "bold " : "") + p.size + "px " + p.font;
+}
+
+// Fills and strokes the current path of the context with the fill and stroke parameters.
+function FillAndStroke(ctx, p) {
+  if (p.fill) {
+    ctx.fillStyle = p.fillColor;
+    ctx.fill();
+  }
+  if (p.stroke && p.strokeWidth > 0) {
+    ctx.lineWidth = p.strokeWidth;
+    ctx.lineJoin = "round";
+    ctx.lineCap = "round";
+    ctx.strokeStyle = p.strokeColor;
+    ctx.stroke();
+  }
+}
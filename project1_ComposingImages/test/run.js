@@ -0,0 +1,310 @@
+// Headless test harness for the composite function in project1.js.
+// It runs the compositions described in a JSON spec and compares each result with its
+// golden image, so that changes to the blending math can be checked without a browser.
+//
+// Usage: node test/run.js [--update] [spec.json]
+//
+// The spec defaults to test/spec.json. With --update, the golden images are (re)written
+// from the current results instead of being compared. The process exits with code 1 if
+// any case fails. Images are decoded and encoded with zlib, so no packages are needed.
+//
+// The spec has a default "tolerance" (the largest allowed difference of a channel in the
+// 0-255 range) and a list of "cases". Each case has:
+//   name: name of the case, which is also the file name of its golden image in test/golden.
+//   background: a PNG file name in the project1 directory, or { width, height, color }
+//               with an [r,g,b,a] color for a solid background.
+//   layers: the layers composited onto the background from bottom to top. Each layer has
+//           an image file name and optional x, y, opacity, blend, operator, filter,
+//           transform { rotation, scaleX, scaleY, skewX, translateX, translateY },
+//           and filters, a list of image filters { type, params } of filters.js.
+//   linear: if true, the layers are composited in a linear light float buffer like project1.html.
+//   export: optional settings { crop, width, height, opaque } of ExportImage in project1.js,
+//           which exports the result like project1.html.
+//   crop: optional rectangle { x, y, width, height } of the result that is compared.
+//   tolerance: optional tolerance of this case.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const zlib = require("zlib");
+
+const projectDir = path.join(__dirname, "..");
+const goldenDir = path.join(__dirname, "golden");
+
+// project1.js and filters.js are browser scripts, so they are run in this context to define their functions as globals
+["project1.js", "filters.js"].forEach(function (name) {
+  vm.runInThisContext(fs.readFileSync(path.join(projectDir, name), "utf8"), {
+    filename: path.join(projectDir, name),
+  });
+});
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Decodes a PNG file and returns an image { width, height, data } with 8-bit RGBA pixels.
+// Non-interlaced grayscale, RGB, palette, gray-alpha, and RGBA images with 8 or 16 bits
+// per channel (and 1, 2, or 4 bit grayscale and palette images) are supported.
+function DecodePNG(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error("Not a PNG file");
+  let p = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  let idat = [];
+  while (p < buffer.length) {
+    let length = buffer.readUInt32BE(p);
+    let type = buffer.toString("ascii", p + 4, p + 8);
+    let chunk = buffer.subarray(p + 8, p + 8 + length);
+    if (type == "IHDR") {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        depth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type == "PLTE") {
+      palette = chunk;
+    } else if (type == "tRNS") {
+      transparency = chunk;
+    } else if (type == "IDAT") {
+      idat.push(chunk);
+    } else if (type == "IEND") {
+      break;
+    }
+    p += 12 + length;
+  }
+  if (!header) throw new Error("PNG header is missing");
+  if (header.interlace) throw new Error("Interlaced PNG files are not supported");
+
+  let channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  let bitsPerPixel = channels * header.depth;
+  let bytesPerPixel = Math.max(1, bitsPerPixel / 8);
+  let stride = Math.ceil((header.width * bitsPerPixel) / 8);
+  let raw = zlib.inflateSync(Buffer.concat(idat));
+
+  // Undo the scanline filters
+  let pixels = Buffer.alloc(stride * header.height);
+  for (let y = 0; y < header.height; y++) {
+    let filter = raw[y * (stride + 1)];
+    let line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    let out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      let a = x >= bytesPerPixel ? pixels[out + x - bytesPerPixel] : 0;
+      let b = y > 0 ? pixels[out - stride + x] : 0;
+      let c = x >= bytesPerPixel && y > 0 ? pixels[out - stride + x - bytesPerPixel] : 0;
+      let v = line[x];
+      if (filter == 1) v += a;
+      else if (filter == 2) v += b;
+      else if (filter == 3) v += (a + b) >> 1;
+      else if (filter == 4) {
+        let pa = Math.abs(b - c);
+        let pb = Math.abs(a - c);
+        let pc = Math.abs(a + b - 2 * c);
+        v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      pixels[out + x] = v & 255;
+    }
+  }
+
+  // Returns channel i of the pixel at x in row y, scaled to 8 bits (but not for palette indices)
+  function sample(y, x, i) {
+    let row = y * stride;
+    if (header.depth == 8) return pixels[row + x * channels + i];
+    if (header.depth == 16) return pixels[row + (x * channels + i) * 2];
+    let perByte = 8 / header.depth;
+    let v = (pixels[row + Math.floor(x / perByte)] >> ((perByte - 1 - (x % perByte)) * header.depth)) & ((1 << header.depth) - 1);
+    return header.colorType == 3 ? v : Math.round((v * 255) / ((1 << header.depth) - 1));
+  }
+
+  let data = new Uint8ClampedArray(header.width * header.height * 4);
+  for (let y = 0; y < header.height; y++) {
+    for (let x = 0; x < header.width; x++) {
+      let o = (y * header.width + x) * 4;
+      let rgba;
+      switch (header.colorType) {
+        case 0: {
+          let g = sample(y, x, 0);
+          rgba = [g, g, g, 255];
+          break;
+        }
+        case 2:
+          rgba = [sample(y, x, 0), sample(y, x, 1), sample(y, x, 2), 255];
+          break;
+        case 3: {
+          let i = sample(y, x, 0);
+          let alpha = transparency && i < transparency.length ? transparency[i] : 255;
+          rgba = [palette[i * 3], palette[i * 3 + 1], palette[i * 3 + 2], alpha];
+          break;
+        }
+        case 4: {
+          let g = sample(y, x, 0);
+          rgba = [g, g, g, sample(y, x, 1)];
+          break;
+        }
+        default:
+          rgba = [sample(y, x, 0), sample(y, x, 1), sample(y, x, 2), sample(y, x, 3)];
+      }
+      data.set(rgba, o);
+    }
+  }
+  return { width: header.width, height: header.height, data: data };
+}
+
+// Encodes an image { width, height, data } with 8-bit RGBA pixels as a PNG file.
+function EncodePNG(img) {
+  function crc(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      c ^= bytes[i];
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return (c ^ 0xffffffff) >>> 0;
+  }
+  function chunk(type, data) {
+    let out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, "ascii");
+    data.copy(out, 8);
+    out.writeUInt32BE(crc(out.subarray(4, 8 + data.length)), 8 + data.length);
+    return out;
+  }
+  let header = Buffer.alloc(13);
+  header.writeUInt32BE(img.width, 0);
+  header.writeUInt32BE(img.height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  let stride = img.width * 4;
+  let raw = Buffer.alloc((stride + 1) * img.height);
+  for (let y = 0; y < img.height; y++) {
+    raw[y * (stride + 1)] = 0; // no filter
+    Buffer.from(img.data.buffer, img.data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+const imageCache = {};
+function LoadImage(name) {
+  if (!imageCache[name]) imageCache[name] = DecodePNG(fs.readFileSync(path.join(projectDir, name)));
+  return imageCache[name];
+}
+
+// Returns the image of the background of the case, which can be modified.
+function CreateBackground(bg) {
+  if (typeof bg == "string") {
+    let img = LoadImage(bg);
+    return { width: img.width, height: img.height, data: img.data.slice() };
+  }
+  let data = new Uint8ClampedArray(bg.width * bg.height * 4);
+  let color = bg.color || [0, 0, 0, 0];
+  for (let i = 0; i < data.length; i += 4) data.set(color, i);
+  return { width: bg.width, height: bg.height, data: data };
+}
+
+// Returns the composited image of the case.
+function RunCase(c) {
+  let image = CreateBackground(c.background);
+  // In linear light mode the layers are accumulated in a float buffer like in project1.html
+  let buffer = c.linear ? CreateFloatImage(image, true) : image;
+  for (let i = 0; i < c.layers.length; i++) {
+    let layer = c.layers[i];
+    let fg = LoadImage(layer.image);
+    let pos = { x: layer.x || 0, y: layer.y || 0 };
+    let transform = layer.transform
+      ? GetLayerTransform(fg.width, fg.height, Object.assign(
+          { rotation: 0, scaleX: 1, scaleY: 1, skewX: 0, translateX: 0, translateY: 0 },
+          layer.transform
+        ))
+      : null;
+    if (layer.filters) {
+      // The filtered image can extend beyond the layer image, so it is moved like in compositeLayer
+      let filtered = ApplyFilters(fg, layer.filters);
+      fg = filtered.image;
+      if (transform) transform = ApplyTransform([1, 0, 0, 0, 1, 0, filtered.x, filtered.y, 1], transform);
+      else pos = { x: pos.x + filtered.x, y: pos.y + filtered.y };
+    }
+    composite(buffer, fg, layer.opacity === undefined ? 1 : layer.opacity, pos, {
+      blend: layer.blend,
+      operator: layer.operator,
+      linear: !!c.linear,
+      filter: layer.filter,
+      transform: transform,
+    });
+  }
+  if (c.linear) StoreFloatImage(buffer, image);
+  if (c.export) image = ExportImage(image, c.export, !!c.linear);
+  return c.crop ? CropImage(image, c.crop) : image;
+}
+
+// Compares two images and returns the largest channel difference and the number of pixels
+// that differ by more than the tolerance. Colors of fully transparent pixels are ignored.
+function CompareImages(a, b, tolerance) {
+  if (a.width != b.width || a.height != b.height) {
+    return { size: true, maxDiff: Infinity, badPixels: a.width * a.height };
+  }
+  let maxDiff = 0;
+  let badPixels = 0;
+  for (let i = 0; i < a.data.length; i += 4) {
+    let first = a.data[i + 3] == 0 && b.data[i + 3] == 0 ? 3 : 0;
+    let diff = 0;
+    for (let c = first; c < 4; c++) diff = Math.max(diff, Math.abs(a.data[i + c] - b.data[i + c]));
+    if (diff > tolerance) badPixels++;
+    maxDiff = Math.max(maxDiff, diff);
+  }
+  return { size: false, maxDiff: maxDiff, badPixels: badPixels };
+}
+
+function Main(args) {
+  let update = args.indexOf("--update") >= 0;
+  let specFile = args.filter(function (a) {
+    return a != "--update";
+  })[0] || path.join(__dirname, "spec.json");
+  let spec = JSON.parse(fs.readFileSync(specFile, "utf8"));
+  let failed = 0;
+  if (update) fs.mkdirSync(goldenDir, { recursive: true });
+  for (let i = 0; i < spec.cases.length; i++) {
+    let c = spec.cases[i];
+    let goldenFile = path.join(goldenDir, c.name + ".png");
+    let result;
+    try {
+      result = RunCase(c);
+    } catch (e) {
+      console.log("FAIL " + c.name + ": " + e.message);
+      failed++;
+      continue;
+    }
+    if (update) {
+      fs.writeFileSync(goldenFile, EncodePNG(result));
+      console.log("updated " + c.name);
+      continue;
+    }
+    if (!fs.existsSync(goldenFile)) {
+      console.log("FAIL " + c.name + ": golden image is missing (run with --update)");
+      failed++;
+      continue;
+    }
+    let tolerance = c.tolerance !== undefined ? c.tolerance : spec.tolerance || 0;
+    let r = CompareImages(result, DecodePNG(fs.readFileSync(goldenFile)), tolerance);
+    if (r.size) {
+      console.log("FAIL " + c.name + ": size differs from the golden image");
+      failed++;
+    } else if (r.badPixels > 0) {
+      console.log("FAIL " + c.name + ": " + r.badPixels + " pixels differ by up to " + r.maxDiff);
+      failed++;
+    } else {
+      console.log("ok   " + c.name + " (max difference " + r.maxDiff + ")");
+    }
+  }
+  if (!update) console.log(spec.cases.length - failed + " of " + spec.cases.length + " cases passed");
+  return failed == 0;
+}
+
+if (require.main === module) {
+  process.exitCode = Main(process.argv.slice(2)) ? 0 : 1;
+}
+
+module.exports = { DecodePNG, EncodePNG, RunCase, CompareImages };
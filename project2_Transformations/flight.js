@@ -0,0 +1,228 @@
+// Physics-based flight model of the project2 UAV, a quadcopter seen from above.
+// Positions are in meters on the ground plane, with x to the right and y down like the page,
+// and the heading is in degrees clockwise from up, like the rotation of GetTransform.
+// The UAV flies forward toward its top side. Pitch is positive when the nose is down, which
+// accelerates the UAV forward, and roll is positive when the right side is down.
+
+// Default parameters of FlightModel in SI units.
+var FLIGHT_PARAMETERS = {
+  mass: 1.2, // kg
+  gravity: 9.81, // m/s^2
+  maxThrust: 6, // N of each propeller at full throttle
+  motorTime: 0.05, // s for the thrust of a propeller to follow its command
+  arm: 0.18, // m from the center to each propeller along both axes
+  inertia: 0.01, // kg m^2 around the pitch and roll axes
+  yawInertia: 0.02, // kg m^2 around the vertical axis
+  yawTorque: 0.02, // N m of reaction torque per N of propeller thrust
+  drag: 0.1, // N s^2/m^2 of quadratic air drag
+  angularDrag: 0.002, // N m s of rotational damping
+  maxTilt: 25, // degrees of pitch and roll at full stick
+  maxYawRate: 180, // degrees per second at full stick
+  tiltGain: 0.23, // thrust fraction per radian of tilt error
+  tiltDamping: 0.047, // thrust fraction per radian per second of tilt rate
+  yawGain: 0.5, // thrust fraction per radian per second of yaw rate error
+  spinSpeed: 25, // displayed propeller revolutions per second at full thrust
+};
+
+// Propellers in the order of the propeller images of project2.html: their side along the
+// x and y axes of the body, and their spin direction (1 for clockwise).
+var PROPELLER_LAYOUT = [
+  { x: -1, y: -1, spin: 1 },
+  { x: 1, y: -1, spin: -1 },
+  { x: -1, y: 1, spin: -1 },
+  { x: 1, y: 1, spin: 1 },
+];
+
+class FlightModel {
+  // params can override any of FLIGHT_PARAMETERS.
+  constructor(params) {
+    this.params = Object.assign({}, FLIGHT_PARAMETERS, params);
+    this.time = 0;
+    this.x = 0; // position in meters
+    this.y = 0;
+    this.altitude = 0;
+    this.vx = 0; // velocity in meters per second
+    this.vy = 0;
+    this.vz = 0;
+    this.heading = 0; // degrees
+    this.yawRate = 0; // radians per second
+    this.pitch = 0; // radians
+    this.roll = 0;
+    this.pitchRate = 0; // radians per second
+    this.rollRate = 0;
+    // thrust in N and displayed rotation in degrees of each propeller.
+    // The propellers start at the thrust of hovering, so that a flight can start in the air
+    // without dropping while the motors spin up.
+    let hover = (this.params.mass * this.params.gravity) / 4;
+    this.propellers = PROPELLER_LAYOUT.map(function () {
+      return { thrust: hover, angle: Math.random() * 360 };
+    });
+  }
+
+  // Advances the simulation by dt seconds.
+  // input holds throttle in [0,1] and pitch, roll, and yaw in [-1,1].
+  // wind is an optional function(x, y, altitude, time) that returns the wind velocity { x, y }.
+  step(dt, input, wind) {
+    // Small steps keep the stiff attitude control stable
+    let steps = Math.ceil(dt / 0.005);
+    for (let i = 0; i < steps; i++) this.substep(dt / steps, input, wind);
+  }
+
+  substep(dt, input, wind) {
+    let p = this.params;
+    let maxTilt = (p.maxTilt * Math.PI) / 180;
+
+    // The flight controller holds the tilt angles and yaw rate that the sticks ask for
+    // by changing the thrust of the propellers around the throttle.
+    let pitchCmd = p.tiltGain * (input.pitch * maxTilt - this.pitch) - p.tiltDamping * this.pitchRate;
+    let rollCmd = p.tiltGain * (input.roll * maxTilt - this.roll) - p.tiltDamping * this.rollRate;
+    let yawCmd = p.yawGain * ((input.yaw * p.maxYawRate * Math.PI) / 180 - this.yawRate);
+
+    let total = 0;
+    let pitchTorque = 0;
+    let rollTorque = 0;
+    let yawTorque = 0;
+    for (let i = 0; i < 4; i++) {
+      let layout = PROPELLER_LAYOUT[i];
+      let prop = this.propellers[i];
+      // Rear propellers push the nose down, left ones the right side, and counter-clockwise ones turn clockwise
+      let command = input.throttle + pitchCmd * layout.y - rollCmd * layout.x - yawCmd * layout.spin;
+      command = Math.min(1, Math.max(0, command));
+      prop.thrust += (command * p.maxThrust - prop.thrust) * Math.min(1, dt / p.motorTime);
+      // Thrust grows with the square of the spin speed
+      let spin = p.spinSpeed * Math.sqrt(prop.thrust / p.maxThrust);
+      prop.angle = (prop.angle + layout.spin * spin * 360 * dt) % 360;
+      total += prop.thrust;
+      pitchTorque += prop.thrust * layout.y * p.arm;
+      rollTorque -= prop.thrust * layout.x * p.arm;
+      yawTorque -= prop.thrust * layout.spin * p.yawTorque;
+    }
+
+    let onGround = this.altitude <= 0 && this.vz <= 0;
+    if (onGround) {
+      // The ground keeps the UAV level
+      this.pitch = this.roll = this.pitchRate = this.rollRate = 0;
+    } else {
+      this.pitchRate += ((pitchTorque - p.angularDrag * this.pitchRate) / p.inertia) * dt;
+      this.rollRate += ((rollTorque - p.angularDrag * this.rollRate) / p.inertia) * dt;
+      this.pitch += this.pitchRate * dt;
+      this.roll += this.rollRate * dt;
+    }
+    this.yawRate += ((yawTorque - p.angularDrag * this.yawRate) / p.yawInertia) * dt;
+    this.heading = (this.heading + (this.yawRate * 180 * dt) / Math.PI) % 360;
+
+    // The thrust tilts with the body, toward the front for pitch and toward the right for roll
+    let forward = total * Math.sin(this.pitch) * Math.cos(this.roll);
+    let right = total * Math.sin(this.roll);
+    let up = total * Math.cos(this.pitch) * Math.cos(this.roll);
+    let h = (this.heading * Math.PI) / 180;
+    let fx = forward * Math.sin(h) + right * Math.cos(h);
+    let fy = -forward * Math.cos(h) + right * Math.sin(h);
+
+    // Quadratic drag of the velocity relative to the air
+    let w = wind ? wind(this.x, this.y, this.altitude, this.time) : { x: 0, y: 0 };
+    let ax = this.vx - w.x;
+    let ay = this.vy - w.y;
+    let speed = Math.sqrt(ax * ax + ay * ay + this.vz * this.vz);
+    fx -= p.drag * speed * ax;
+    fy -= p.drag * speed * ay;
+    let fz = up - p.drag * speed * this.vz - p.mass * p.gravity;
+
+    this.vx += (fx / p.mass) * dt;
+    this.vy += (fy / p.mass) * dt;
+    this.vz += (fz / p.mass) * dt;
+    if (this.altitude <= 0 && this.vz < 0) {
+      // Resting on the ground
+      this.vx = this.vy = this.vz = 0;
+    }
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.altitude = Math.max(0, this.altitude + this.vz * dt);
+    this.time += dt;
+  }
+}
+
+// Returns a wind field function for FlightModel.step with a steady wind of the given speed
+// in meters per second, blowing toward the given direction in degrees clockwise from up.
+// Gusts add up to the given speed in both directions, varying smoothly over space and time,
+// and the wind gets stronger with altitude up to twice its speed at 50 meters.
+function CreateWindField(speed, direction, gust) {
+  let d = (direction * Math.PI) / 180;
+  let sx = speed * Math.sin(d);
+  let sy = -speed * Math.cos(d);
+  return function (x, y, altitude, time) {
+    let height = 1 + Math.min(altitude, 50) / 50;
+    let gx = gust * Math.sin(0.13 * y + 0.7 * time) * Math.cos(0.05 * x + 0.3 * time);
+    let gy = gust * Math.sin(0.11 * x + 0.5 * time + 1) * Math.cos(0.07 * y + 0.2 * time);
+    return { x: (sx + gx) * height, y: (sy + gy) * height };
+  };
+}
+
+// Keyboard and gamepad input of the flight model.
+// W and S change the throttle, A and D yaw, and the arrow keys pitch and roll.
+// On a gamepad with the standard mapping, the left stick controls the throttle and yaw,
+// and the right stick pitch and roll.
+class FlightControls {
+  constructor() {
+    this.keys = {}; // keys that are held down
+    this.throttle = 0;
+  }
+
+  // Records that the key is pressed and returns true if it is a flight control key.
+  keyDown(key) {
+    if (FLIGHT_KEYS.indexOf(key) < 0) return false;
+    this.keys[key] = true;
+    return true;
+  }
+
+  // Records that the key is released.
+  keyUp(key) {
+    delete this.keys[key];
+  }
+
+  // Returns the input { throttle, pitch, roll, yaw } for FlightModel.step after dt seconds.
+  // Holding the throttle keys or stick changes the throttle by half of its range per second.
+  read(dt) {
+    let k = this.keys;
+    function axis(negative, positive) {
+      return (k[positive] ? 1 : 0) - (k[negative] ? 1 : 0);
+    }
+    let throttle = axis("s", "w");
+    let input = {
+      pitch: axis("ArrowDown", "ArrowUp"),
+      roll: axis("ArrowLeft", "ArrowRight"),
+      yaw: axis("a", "d"),
+    };
+    let pad = GetGamepad();
+    if (pad) {
+      // Pushing a stick up gives a negative axis value
+      throttle += DeadZone(-pad.axes[1]);
+      input.yaw += DeadZone(pad.axes[0]);
+      input.roll += DeadZone(pad.axes[2]);
+      input.pitch += DeadZone(-pad.axes[3]);
+    }
+    this.throttle = Math.min(1, Math.max(0, this.throttle + throttle * 0.5 * dt));
+    input.throttle = this.throttle;
+    input.pitch = Math.min(1, Math.max(-1, input.pitch));
+    input.roll = Math.min(1, Math.max(-1, input.roll));
+    input.yaw = Math.min(1, Math.max(-1, input.yaw));
+    return input;
+  }
+}
+
+// Keys used by FlightControls.
+var FLIGHT_KEYS = ["w", "s", "a", "d", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"];
+
+// Returns the first connected gamepad with at least four axes, or null.
+function GetGamepad() {
+  let pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  for (let i = 0; i < pads.length; i++) {
+    if (pads[i] && pads[i].connected && pads[i].axes.length >= 4) return pads[i];
+  }
+  return null;
+}
+
+// Returns the stick axis value with small values around the center ignored.
+function DeadZone(v) {
+  return Math.abs(v) < 0.1 ? 0 : v;
+}
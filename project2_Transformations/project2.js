@@ -52,3 +52,106 @@ function ApplyTransform(trans1, trans2) {
 
   return result;
 }
+
+// Returns a 3x3 transformation matrix as an array of 9 values in column-major order,
+// like GetTransform, with non-uniform scale, shear, and a pivot point.
+// t is an object with the following optional properties:
+//   positionX, positionY: translation (default 0).
+//   rotation: rotation in degrees (default 0).
+//   scaleX, scaleY: scale along the x and y axes (default 1).
+//   shear: shear factor along the x axis, so that x' = x + shear * y (default 0).
+//   pivotX, pivotY: the point that scale, shear, and rotation are applied around (default 0).
+// The transformation first applies scale, then shear, then rotation, and finally translation.
+// With the pivot at the origin, GetTransform(x, y, r, s) is the same as
+// ComposeTransform({ positionX: x, positionY: y, rotation: r, scaleX: s, scaleY: s }).
+function ComposeTransform(t) {
+  let p = Object.assign(
+    { positionX: 0, positionY: 0, rotation: 0, scaleX: 1, scaleY: 1, shear: 0, pivotX: 0, pivotY: 0 },
+    t
+  );
+  let rad = (p.rotation * Math.PI) / 180;
+  let cos = Math.cos(rad);
+  let sin = Math.sin(rad);
+
+  let toPivot = [1, 0, 0, 0, 1, 0, -p.pivotX, -p.pivotY, 1];
+  let scale = [p.scaleX, 0, 0, 0, p.scaleY, 0, 0, 0, 1];
+  let shear = [1, 0, 0, p.shear, 1, 0, 0, 0, 1];
+  let rotate = [cos, sin, 0, -sin, cos, 0, 0, 0, 1];
+  let translate = [1, 0, 0, 0, 1, 0, p.pivotX + p.positionX, p.pivotY + p.positionY, 1];
+
+  let m = ApplyTransform(toPivot, scale);
+  m = ApplyTransform(m, shear);
+  m = ApplyTransform(m, rotate);
+  return ApplyTransform(m, translate);
+}
+
+// Splits an affine transformation matrix back into the parameters of ComposeTransform,
+// so that ComposeTransform(DecomposeTransform(m)) returns m.
+// The pivot cannot be recovered from the matrix, so the returned pivot is the origin and
+// the position is the translation of the matrix. scaleX is never negative; mirrored
+// transformations get a negative scaleY. Returns null if the matrix is not invertible.
+function DecomposeTransform(trans) {
+  let a = trans[0];
+  let b = trans[1];
+  let c = trans[3];
+  let d = trans[4];
+  let det = a * d - b * c;
+  let scaleX = Math.sqrt(a * a + b * b);
+  if (scaleX == 0 || det == 0) return null;
+
+  // The first column is the rotated x axis scaled by scaleX
+  let cos = a / scaleX;
+  let sin = b / scaleX;
+  // Rotating the second column back gives [shear * scaleY, scaleY]
+  let scaleY = det / scaleX;
+  let shear = (cos * c + sin * d) / scaleY;
+
+  return {
+    positionX: trans[6],
+    positionY: trans[7],
+    rotation: (Math.atan2(sin, cos) * 180) / Math.PI,
+    scaleX: scaleX,
+    scaleY: scaleY,
+    shear: shear,
+    pivotX: 0,
+    pivotY: 0,
+  };
+}
+
+// Returns the inverse of the given 3x3 transformation matrix in column-major order,
+// or null if the matrix is not invertible.
+// ApplyTransform(trans, InverseTransform(trans)) is the identity transformation.
+function InverseTransform(trans) {
+  let m = trans;
+  // Cofactors of the matrix, which form the transposed adjugate
+  let c00 = m[4] * m[8] - m[7] * m[5];
+  let c01 = m[7] * m[2] - m[1] * m[8];
+  let c02 = m[1] * m[5] - m[4] * m[2];
+  let det = m[0] * c00 + m[3] * c01 + m[6] * c02;
+  if (Math.abs(det) < 1e-12) return null;
+
+  return [
+    c00 / det,
+    c01 / det,
+    c02 / det,
+
+    (m[6] * m[5] - m[3] * m[8]) / det,
+    (m[0] * m[8] - m[6] * m[2]) / det,
+    (m[3] * m[2] - m[0] * m[5]) / det,
+
+    (m[3] * m[7] - m[6] * m[4]) / det,
+    (m[6] * m[1] - m[0] * m[7]) / det,
+    (m[0] * m[4] - m[3] * m[1]) / det,
+  ];
+}
+
+// Applies the transformation to the point (x,y) and returns the result as { x, y }.
+// For example, InverseTransform of a propeller transformation maps a mouse position
+// into the local space of the propeller.
+function TransformPoint(trans, x, y) {
+  let w = trans[2] * x + trans[5] * y + trans[8];
+  return {
+    x: (trans[0] * x + trans[3] * y + trans[6]) / w,
+    y: (trans[1] * x + trans[4] * y + trans[7]) / w,
+  };
+}
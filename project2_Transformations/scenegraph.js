@@ -0,0 +1,244 @@
+// A small 2D scene graph built on the transformations of project2.js.
+// Each node has a local transformation relative to its parent, a list of children,
+// a z-order among its siblings, and optionally an image element that it places on the page.
+// World matrices are computed by walking up the tree and cached until a transformation changes.
+class SceneNode {
+  // t holds the local transformation parameters of ComposeTransform.
+  // image is an optional element with a fixed position that is centered on the origin,
+  // like the images in project2.html, which is placed with the world transformation of the node.
+  constructor(t, image) {
+    this.parent = null;
+    this.children = [];
+    this.z = 0; // drawing order among the siblings
+    this.image = image || null;
+    this.params = {}; // local transformation parameters
+    this.local = null; // cached local matrix
+    this.world = null; // cached world matrix
+    this.setTransform(t || {});
+  }
+
+  // Changes the given local transformation parameters and keeps the others.
+  setTransform(t) {
+    Object.assign(this.params, t);
+    this.local = null;
+    this.invalidate();
+    return this;
+  }
+
+  // Sets the drawing order of the node among its siblings.
+  // Nodes with a higher z are drawn in front, and children with a negative z are drawn behind their parent.
+  setZ(z) {
+    this.z = z;
+    return this;
+  }
+
+  // Returns the local transformation matrix of the node.
+  getLocalMatrix() {
+    if (!this.local) this.local = ComposeTransform(this.params);
+    return this.local;
+  }
+
+  // Returns the transformation from the local space of the node to the space of the root.
+  getWorldMatrix() {
+    if (!this.world) {
+      let local = this.getLocalMatrix();
+      this.world = this.parent ? ApplyTransform(local, this.parent.getWorldMatrix()) : local;
+    }
+    return this.world;
+  }
+
+  // Discards the cached world matrices of the node and its descendants.
+  // A node only has a cached world matrix if its parent has one, so the walk stops at uncached nodes.
+  invalidate() {
+    if (!this.world) return;
+    this.world = null;
+    for (let i = 0; i < this.children.length; i++) this.children[i].invalidate();
+  }
+
+  // Adds the child node, removing it from its previous parent, and returns it.
+  add(child) {
+    if (child.parent) child.parent.remove(child);
+    child.parent = this;
+    this.children.push(child);
+    child.invalidate();
+    return child;
+  }
+
+  // Removes the child node.
+  remove(child) {
+    let i = this.children.indexOf(child);
+    if (i < 0) return;
+    this.children.splice(i, 1);
+    child.parent = null;
+    child.invalidate();
+  }
+
+  // Calls callback(node) for the node and its descendants from back to front.
+  // Siblings are sorted by z, and siblings with the same z keep the order they were added in.
+  traverse(callback) {
+    let sorted = this.children.slice().sort(function (a, b) {
+      return a.z - b.z;
+    });
+    let i = 0;
+    for (; i < sorted.length && sorted[i].z < 0; i++) sorted[i].traverse(callback);
+    callback(this);
+    for (; i < sorted.length; i++) sorted[i].traverse(callback);
+  }
+
+  // Returns the nodes of the subtree whose images are under the point (x,y) of the root space,
+  // topmost first, as { node, x, y } with the point in the pixel coordinates of the image.
+  // If alphaThreshold in [0,255] is given, image pixels with a lower alpha value are not hits.
+  pick(x, y, alphaThreshold) {
+    let hits = [];
+    this.traverse(function (node) {
+      if (!node.image) return;
+      let inverse = InverseTransform(node.getWorldMatrix());
+      if (!inverse) return;
+      let p = TransformPoint(inverse, x, y);
+      // The images are centered on the origin of their nodes
+      let width = node.image.offsetWidth;
+      let height = node.image.offsetHeight;
+      let u = p.x + width / 2;
+      let v = p.y + height / 2;
+      if (u < 0 || v < 0 || u >= width || v >= height) return;
+      if (alphaThreshold !== undefined && GetImageAlpha(node.image, u / width, v / height) < alphaThreshold) {
+        return;
+      }
+      hits.push({ node: node, x: u, y: v });
+    });
+    return hits.reverse();
+  }
+
+  // Returns the SVG markup of the node and its descendants. Each node is a <g> group with the
+  // exact local matrix of the node, so the groups are nested like the scene graph, and images
+  // are <image> elements centered on the origin of their groups, in drawing order.
+  // The images are embedded as data URLs when their pixels can be read.
+  // If the filters array is given, the blur radii of images blurred with CSS are added to it
+  // and the images refer to them as the filters "blur0", "blur1" and so on, as in SceneToSVG.
+  toSVG(indent, filters) {
+    indent = indent || "";
+    let m = this.getLocalMatrix();
+    let svg = indent + '<g transform="matrix(' + [m[0], m[1], m[3], m[4], m[6], m[7]].join(" ") + ')">\n';
+    let sorted = this.children.slice().sort(function (a, b) {
+      return a.z - b.z;
+    });
+    let i = 0;
+    for (; i < sorted.length && sorted[i].z < 0; i++) svg += sorted[i].toSVG(indent + "  ", filters);
+    if (this.image) {
+      let width = this.image.offsetWidth;
+      let height = this.image.offsetHeight;
+      let filter = "";
+      let blur = /blur\(([\d.]+)px\)/.exec(this.image.style.filter);
+      if (filters && blur && parseFloat(blur[1]) > 0) {
+        // CSS blurs the image on the page, so the radius is scaled to the local space of the image
+        let w = this.getWorldMatrix();
+        let radius = parseFloat(blur[1]) / Math.sqrt(Math.abs(w[0] * w[4] - w[1] * w[3]));
+        filter = ' filter="url(#blur' + filters.length + ')"';
+        filters.push(radius);
+      }
+      svg +=
+        indent +
+        '  <image x="' + -width / 2 + '" y="' + -height / 2 + '" width="' + width + '" height="' + height +
+        '" preserveAspectRatio="none" xlink:href="' + GetImageURL(this.image) + '"' + filter + "/>\n";
+    }
+    for (; i < sorted.length; i++) svg += sorted[i].toSVG(indent + "  ", filters);
+    return svg + indent + "</g>\n";
+  }
+
+  // Draws the images of the node and its descendants into the 2D canvas context,
+  // on top of its current transformation, which maps the root space to the canvas.
+  draw(context) {
+    let base = context.getTransform();
+    this.traverse(function (node) {
+      if (!node.image || !node.image.complete) return;
+      let m = node.getWorldMatrix();
+      context.save();
+      context.setTransform(base);
+      context.transform(m[0], m[1], m[3], m[4], m[6], m[7]);
+      context.filter = node.image.style.filter || "none";
+      let width = node.image.offsetWidth;
+      let height = node.image.offsetHeight;
+      context.drawImage(node.image, -width / 2, -height / 2, width, height);
+      context.restore();
+    });
+  }
+
+  // Places the images of the node and its descendants with their world transformations
+  // and stacks them in drawing order, starting from the given z-index.
+  render(zIndex) {
+    let order = zIndex || 0;
+    this.traverse(function (node) {
+      if (!node.image) return;
+      let m = node.getWorldMatrix();
+      node.image.style.transform =
+        "matrix(" + m[0] + "," + m[1] + "," + m[3] + "," + m[4] + "," + m[6] + "," + m[7] + ")";
+      node.image.style.zIndex = order++;
+    });
+  }
+}
+
+// Pixel data of the images used by GetImageAlpha
+var IMAGE_PIXELS = new WeakMap();
+
+// Returns the alpha value in [0,255] of the texel of the image element at the texture
+// coordinates (s,t) in [0,1]. Images that are not loaded yet are transparent, and images
+// whose pixels cannot be read, such as local files in some browsers, are treated as opaque.
+function GetImageAlpha(image, s, t) {
+  if (!image.complete || !image.naturalWidth) return 0;
+  let pixels = IMAGE_PIXELS.get(image);
+  if (!pixels || pixels.src != image.src) {
+    let canvas = document.createElement("canvas");
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    let context = canvas.getContext("2d");
+    context.drawImage(image, 0, 0);
+    pixels = { src: image.src, width: canvas.width, height: canvas.height, data: null };
+    try {
+      pixels.data = context.getImageData(0, 0, canvas.width, canvas.height).data;
+    } catch (e) {
+      // The canvas is tainted by an image from another origin
+    }
+    IMAGE_PIXELS.set(image, pixels);
+  }
+  if (!pixels.data) return 255;
+  let x = Math.min(pixels.width - 1, Math.floor(s * pixels.width));
+  let y = Math.min(pixels.height - 1, Math.floor(t * pixels.height));
+  return pixels.data[(y * pixels.width + x) * 4 + 3];
+}
+
+// Returns a standalone SVG document of the given size in pixels with the scene of the root node.
+// background is optional SVG markup that is placed behind the scene.
+function SceneToSVG(root, width, height, background) {
+  let filters = [];
+  let scene = root.toSVG("  ", filters);
+  let defs = filters.map(function (radius, i) {
+    return (
+      '    <filter id="blur' + i + '" x="-50%" y="-50%" width="200%" height="200%">' +
+      '<feGaussianBlur stdDeviation="' + radius + '"/></filter>\n'
+    );
+  });
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+    'width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + " " + height + '">\n' +
+    (defs.length ? "  <defs>\n" + defs.join("") + "  </defs>\n" : "") +
+    (background || "") +
+    scene +
+    "</svg>\n"
+  );
+}
+
+// Returns a data URL with the pixels of the image element, or its URL if they cannot be read.
+function GetImageURL(image) {
+  if (!image.complete || !image.naturalWidth) return image.src;
+  let canvas = document.createElement("canvas");
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  canvas.getContext("2d").drawImage(image, 0, 0);
+  try {
+    return canvas.toDataURL("image/png");
+  } catch (e) {
+    // The canvas is tainted by an image from another origin
+    return image.src;
+  }
+}
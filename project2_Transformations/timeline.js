@@ -0,0 +1,219 @@
+// Keyframe animation of 2D transformations for project2.
+// A timeline holds a track of keyframes for each animated target. Keyframes store the
+// arguments of GetTransform (positionX, positionY, rotation, and scale), so a target can be
+// an object with these properties, like the uav object of project2.html, or a SceneNode.
+
+// Names of the animated properties, which are the arguments of GetTransform.
+var KEYFRAME_PROPERTIES = ["positionX", "positionY", "rotation", "scale"];
+
+// Easing functions that map the fraction of time between two keyframes to the fraction of the change.
+// A keyframe can also use any cubic Bézier timing curve, given as [x1, y1, x2, y2] like in CSS.
+var EASINGS = {
+  linear: function (t) {
+    return t;
+  },
+  "ease-in": CubicBezierEasing(0.42, 0, 1, 1),
+  "ease-out": CubicBezierEasing(0, 0, 0.58, 1),
+  "ease-in-out": CubicBezierEasing(0.42, 0, 0.58, 1),
+};
+
+// Names of the spatial interpolation methods for the position of a track.
+// Linear paths go straight from one keyframe to the next, and Catmull-Rom paths
+// are smooth curves that pass through the keyframe positions.
+var PATH_TYPES = ["linear", "catmull-rom"];
+
+class Timeline {
+  constructor() {
+    this.tracks = []; // { target, path, keys } for each animated target
+    this.duration = 10; // length of the timeline in seconds
+    this.time = 0; // current time in seconds
+    this.playing = false;
+    this.loop = true; // whether playback starts over at the end
+  }
+
+  // Returns the track of the target, creating an empty one if needed.
+  getTrack(target) {
+    for (let i = 0; i < this.tracks.length; i++) {
+      if (this.tracks[i].target === target) return this.tracks[i];
+    }
+    let track = { target: target, path: "linear", keys: [] };
+    this.tracks.push(track);
+    return track;
+  }
+
+  // Sets the spatial interpolation of the position of the target to one of PATH_TYPES.
+  setPath(target, path) {
+    if (PATH_TYPES.indexOf(path) < 0) throw new Error("Unknown path type: " + path);
+    this.getTrack(target).path = path;
+  }
+
+  // Adds a keyframe for the target at the given time and returns it.
+  // values holds any of KEYFRAME_PROPERTIES, and properties that a keyframe does not have
+  // are interpolated between the other keyframes. easing is the name of one of EASINGS or
+  // the control points of a cubic Bézier curve, and it applies until the next keyframe.
+  // A keyframe that is already at the same time is replaced.
+  setKey(target, time, values, easing) {
+    let key = { time: time, easing: easing || "linear" };
+    for (let i = 0; i < KEYFRAME_PROPERTIES.length; i++) {
+      let p = KEYFRAME_PROPERTIES[i];
+      if (values[p] !== undefined) key[p] = values[p];
+    }
+    let keys = this.getTrack(target).keys;
+    let i = 0;
+    while (i < keys.length && keys[i].time < time - 1e-6) i++;
+    let replace = i < keys.length && Math.abs(keys[i].time - time) <= 1e-6 ? 1 : 0;
+    keys.splice(i, replace, key);
+    return key;
+  }
+
+  // Removes the keyframe of the target at the given time, if there is one.
+  removeKey(target, time) {
+    let keys = this.getTrack(target).keys;
+    for (let i = 0; i < keys.length; i++) {
+      if (Math.abs(keys[i].time - time) <= 1e-6) keys.splice(i--, 1);
+    }
+  }
+
+  // Removes all tracks and returns to the start.
+  clear() {
+    this.tracks = [];
+    this.time = 0;
+    this.playing = false;
+  }
+
+  // Returns the interpolated properties of the track at the given time.
+  // Properties without keyframes are not included.
+  sample(track, time) {
+    let values = {};
+    for (let i = 0; i < KEYFRAME_PROPERTIES.length; i++) {
+      let p = KEYFRAME_PROPERTIES[i];
+      let keys = track.keys.filter(function (k) {
+        return k[p] !== undefined;
+      });
+      if (keys.length == 0) continue;
+      if (time <= keys[0].time) {
+        values[p] = keys[0][p];
+        continue;
+      }
+      let j = 0;
+      while (j < keys.length - 1 && keys[j + 1].time <= time) j++;
+      if (j == keys.length - 1) {
+        values[p] = keys[j][p];
+        continue;
+      }
+      let a = keys[j];
+      let b = keys[j + 1];
+      let t = GetEasing(a.easing)((time - a.time) / (b.time - a.time));
+      if (p == "rotation") {
+        values[p] = a[p] + ShortestAngle(a[p], b[p]) * t;
+      } else if (track.path == "catmull-rom" && (p == "positionX" || p == "positionY")) {
+        // The end keyframes are repeated, so the path starts and ends with the tangent toward their neighbors
+        let before = keys[Math.max(0, j - 1)][p];
+        let after = keys[Math.min(keys.length - 1, j + 2)][p];
+        values[p] = CatmullRom(before, a[p], b[p], after, t);
+      } else {
+        values[p] = a[p] + (b[p] - a[p]) * t;
+      }
+    }
+    return values;
+  }
+
+  // Moves to the given time, which is clamped to the timeline, and updates the targets.
+  seek(time) {
+    this.time = Math.min(Math.max(time, 0), this.duration);
+    this.apply();
+  }
+
+  play() {
+    if (this.time >= this.duration && !this.loop) this.time = 0;
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  // Advances the playback by dt seconds and updates the targets.
+  // At the end of the timeline, playback starts over or stops, depending on loop.
+  update(dt) {
+    if (!this.playing) return;
+    let time = this.time + dt;
+    if (time >= this.duration) {
+      if (this.loop && this.duration > 0) {
+        time %= this.duration;
+      } else {
+        time = this.duration;
+        this.playing = false;
+      }
+    }
+    this.time = time;
+    this.apply();
+  }
+
+  // Sets the properties of the targets to their values at the current time.
+  // Scene nodes, which have a setTransform method, get the scale as both of their scale factors.
+  apply() {
+    for (let i = 0; i < this.tracks.length; i++) {
+      let track = this.tracks[i];
+      let values = this.sample(track, this.time);
+      if (typeof track.target.setTransform == "function") {
+        if (values.scale !== undefined) {
+          values.scaleX = values.scaleY = values.scale;
+          delete values.scale;
+        }
+        track.target.setTransform(values);
+      } else {
+        Object.assign(track.target, values);
+      }
+    }
+  }
+}
+
+// Returns the easing function of a keyframe, which is the name of one of EASINGS
+// or the control points [x1, y1, x2, y2] of a cubic Bézier timing curve.
+function GetEasing(easing) {
+  if (Array.isArray(easing)) return CubicBezierEasing(easing[0], easing[1], easing[2], easing[3]);
+  if (!EASINGS[easing]) throw new Error("Unknown easing: " + easing);
+  return EASINGS[easing];
+}
+
+// Returns an easing function for the cubic Bézier curve from (0,0) to (1,1) with the control
+// points (x1,y1) and (x2,y2), like the cubic-bezier timing function of CSS.
+// x1 and x2 must be in [0,1], so that the curve gives a single value for each time.
+function CubicBezierEasing(x1, y1, x2, y2) {
+  function bezier(a, b, s) {
+    return 3 * a * s * (1 - s) * (1 - s) + 3 * b * s * s * (1 - s) + s * s * s;
+  }
+  return function (t) {
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    // Finds the curve parameter s with x(s) = t by bisection, since x is monotonic
+    let lo = 0;
+    let hi = 1;
+    let s = t;
+    for (let i = 0; i < 30; i++) {
+      if (bezier(x1, x2, s) < t) lo = s;
+      else hi = s;
+      s = (lo + hi) / 2;
+    }
+    return bezier(y1, y2, s);
+  };
+}
+
+// Returns the difference from angle a to angle b in degrees along the shorter direction, in [-180,180).
+function ShortestAngle(a, b) {
+  let d = (b - a) % 360;
+  if (d >= 180) d -= 360;
+  if (d < -180) d += 360;
+  return d;
+}
+
+// Interpolates between p1 and p2 with the uniform Catmull-Rom spline through p0, p1, p2, and p3.
+function CatmullRom(p0, p1, p2, p3, t) {
+  let t2 = t * t;
+  let t3 = t2 * t;
+  return (
+    0.5 *
+    (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (3 * p1 - p0 - 3 * p2 + p3) * t3)
+  );
+}
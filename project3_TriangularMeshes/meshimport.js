@@ -0,0 +1,786 @@
+// Importers of triangular meshes in the PLY, STL, and glTF 2.0 formats.
+// Each importer fills an ObjMesh with the positions, texture coordinates, normals, and faces
+// of the file, so that the mesh can be centered and scaled like a mesh read from an obj file,
+// and its getVertexBuffers method returns the buffers for MeshDrawer.setMesh.
+
+// Returns the format of a mesh file from the extension of its name:
+// "obj", "ply", "stl", "gltf", or "glb", or null if the format is not supported.
+function GetMeshFormat(name) {
+    let ext = name.split(/[?#]/)[0].split(".").pop().toLowerCase();
+    return ["obj", "ply", "stl", "gltf", "glb"].indexOf(ext) >= 0 ? ext : null;
+}
+
+// Parses the contents of a mesh file of the given format, which is an ArrayBuffer.
+// glTF files can refer to other files, so getFile(uri) returns a Promise that resolves to
+// the ArrayBuffer of the file at the given URI, relative to the mesh file.
+// Returns a Promise that resolves to an ObjMesh, or rejects with an Error if the file is malformed.
+function ImportMesh(data, format, getFile) {
+    let mesh = new ObjMesh();
+    try {
+        switch (format) {
+            case "obj":
+                mesh.parse(new TextDecoder().decode(data));
+                break;
+            case "ply":
+                ParsePLY(mesh, data);
+                break;
+            case "stl":
+                ParseSTL(mesh, data);
+                break;
+            case "gltf":
+            case "glb":
+                return ParseGLTF(mesh, data, getFile);
+            default:
+                throw new Error("Unsupported mesh format: " + format);
+        }
+    } catch (e) {
+        return Promise.reject(e);
+    }
+    return Promise.resolve(mesh);
+}
+
+// Downloads the file at the given URL.
+// Returns a Promise that resolves to its contents as an ArrayBuffer, or rejects with an Error.
+// The optional onProgress(fraction) is called with the downloaded fraction in [0,1].
+function LoadArrayBuffer(url, onProgress) {
+    return new Promise(function (resolve, reject) {
+        let xhttp = new XMLHttpRequest();
+        xhttp.responseType = "arraybuffer";
+        xhttp.onprogress = function (e) {
+            if (onProgress && e.lengthComputable)
+                onProgress(e.loaded / e.total);
+        };
+        xhttp.onload = function () {
+            // Files that are not served over HTTP have the status 0
+            if (this.status != 200 && this.status != 0) {
+                let status = this.status + " " + this.statusText;
+                reject(new Error("Cannot load " + url + ": " + status));
+                return;
+            }
+            if (onProgress) onProgress(1);
+            resolve(this.response);
+        };
+        xhttp.onerror = function () {
+            reject(new Error("Cannot load " + url));
+        };
+        xhttp.open("GET", url, true);
+        xhttp.send();
+    });
+}
+
+// Makes the faces of the mesh share the vertices at the same positions, like the faces
+// of STL files, so that the mesh stays connected when its vertices are moved separately.
+// The texture coordinates and normals of the faces are not changed.
+function WeldVertices(mesh) {
+    let vertices = new Map();
+    let vpos = [];
+    let index = mesh.vpos.map(function (p) {
+        let key = p.join(",");
+        let i = vertices.get(key);
+        if (i === undefined) {
+            i = vpos.length;
+            vertices.set(key, i);
+            vpos.push(p);
+        }
+        return i;
+    });
+    mesh.vpos = vpos;
+    mesh.face = mesh.face.map(function (f) {
+        return f.map(function (v) {
+            return index[v];
+        });
+    });
+}
+
+///////////////////////////////////////////////////////////////////////////////////
+// PLY
+///////////////////////////////////////////////////////////////////////////////////
+
+// Byte sizes and DataView getters of the PLY property types
+const PLY_TYPES = {
+    char: [1, "getInt8"],
+    int8: [1, "getInt8"],
+    uchar: [1, "getUint8"],
+    uint8: [1, "getUint8"],
+    short: [2, "getInt16"],
+    int16: [2, "getInt16"],
+    ushort: [2, "getUint16"],
+    uint16: [2, "getUint16"],
+    int: [4, "getInt32"],
+    int32: [4, "getInt32"],
+    uint: [4, "getUint32"],
+    uint32: [4, "getUint32"],
+    float: [4, "getFloat32"],
+    float32: [4, "getFloat32"],
+    double: [8, "getFloat64"],
+    float64: [8, "getFloat64"],
+};
+
+// Parses an ASCII or binary PLY file into the mesh.
+// Vertices can have the normal nx, ny, nz and the texture coordinates u, v (or s, t),
+// and faces list their vertex indices in vertex_indices (or vertex_index).
+function ParsePLY(mesh, data) {
+    let bytes = new Uint8Array(data);
+    // The header is ASCII text, so its characters are its bytes
+    let text = new TextDecoder("latin1").decode(
+        bytes.subarray(0, Math.min(bytes.length, 65536))
+    );
+    let endHeader = /end_header\r?\n/.exec(text);
+    if (!text.startsWith("ply") || !endHeader)
+        throw new Error("Invalid PLY header");
+
+    let format = null;
+    let elements = [];
+    let lines = text.slice(0, endHeader.index).split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        let elem = lines[i].trim().split(/\s+/);
+        let error = "PLY header line " + (i + 1) + ": ";
+        switch (elem[0]) {
+            case "format":
+                format = elem[1];
+                break;
+            case "element":
+                elements.push({
+                    name: elem[1],
+                    count: parseInt(elem[2]),
+                    properties: [],
+                });
+                break;
+            case "property":
+                if (elements.length == 0) {
+                    throw new Error(error + "property before element");
+                }
+                let property =
+                    elem[1] == "list"
+                        ? { name: elem[4], countType: elem[2], type: elem[3] }
+                        : { name: elem[2], type: elem[1] };
+                if (
+                    !PLY_TYPES[property.type] ||
+                    (property.countType && !PLY_TYPES[property.countType])
+                ) {
+                    throw new Error(error + "unknown property type");
+                }
+                elements[elements.length - 1].properties.push(property);
+                break;
+        }
+    }
+
+    // Returns the next value of the given type in the body
+    let read;
+    let start = endHeader.index + endHeader[0].length;
+    if (format == "ascii") {
+        let rows = new TextDecoder().decode(bytes.subarray(start)).split("\n");
+        // Line number of the first row, for the error messages
+        let firstLine = text.slice(0, start).split("\n").length;
+        let row = 0;
+        let tokens = [];
+        let t = 0;
+        read = function () {
+            while (t >= tokens.length) {
+                if (row >= rows.length)
+                    throw new Error("PLY file ends unexpectedly");
+                tokens = rows[row++].match(/\S+/g) || [];
+                t = 0;
+            }
+            let value = Number(tokens[t]);
+            if (isNaN(value)) {
+                let line = firstLine + row - 1;
+                throw new Error(
+                    "PLY line " + line + ": invalid number " + tokens[t]
+                );
+            }
+            t++;
+            return value;
+        };
+    } else if (
+        format == "binary_little_endian" ||
+        format == "binary_big_endian"
+    ) {
+        let view = new DataView(data);
+        let little = format == "binary_little_endian";
+        let offset = start;
+        read = function (type) {
+            let t = PLY_TYPES[type];
+            if (offset + t[0] > data.byteLength)
+                throw new Error("PLY file ends unexpectedly");
+            let value = view[t[1]](offset, little);
+            offset += t[0];
+            return value;
+        };
+    } else {
+        throw new Error("Unsupported PLY format: " + format);
+    }
+
+    let vertex = elements.find(function (e) {
+        return e.name == "vertex";
+    });
+    let names = vertex
+        ? vertex.properties.map(function (p) {
+              return p.name;
+          })
+        : [];
+    let hasNormals = names.indexOf("nx") >= 0;
+    let hasTexCoords = names.indexOf("u") >= 0 || names.indexOf("s") >= 0;
+    for (let e = 0; e < elements.length; e++) {
+        let element = elements[e];
+        for (let i = 0; i < element.count; i++) {
+            let row = {};
+            for (let p = 0; p < element.properties.length; p++) {
+                let property = element.properties[p];
+                if (property.countType) {
+                    let list = [];
+                    let count = read(property.countType);
+                    for (let k = 0; k < count; k++)
+                        list.push(read(property.type));
+                    row[property.name] = list;
+                } else {
+                    row[property.name] = read(property.type);
+                }
+            }
+            if (element.name == "vertex") {
+                mesh.vpos.push([row.x, row.y, row.z]);
+                if (hasNormals) mesh.norm.push([row.nx, row.ny, row.nz]);
+                if (hasTexCoords) {
+                    mesh.tpos.push(
+                        row.u !== undefined ? [row.u, row.v] : [row.s, row.t]
+                    );
+                }
+            } else if (element.name == "face") {
+                let f = row.vertex_indices || row.vertex_index;
+                if (!f) throw new Error("PLY faces have no vertex indices");
+                mesh.face.push(f);
+            }
+        }
+    }
+
+    // The face element can come before the vertex element,
+    // so the vertex indices are checked when all vertices are read
+    if (mesh.face.length == 0) throw new Error("The PLY file has no faces");
+    for (let i = 0; i < mesh.face.length; i++) {
+        let f = mesh.face[i];
+        for (let k = 0; k < f.length; k++) {
+            if (!(f[k] >= 0 && f[k] < mesh.vpos.length))
+                throw new Error("PLY face " + i + " has no vertex " + f[k]);
+        }
+    }
+
+    // Normals and texture coordinates belong to the vertices.
+    // MeshDrawer draws every vertex with a texture coordinate and a normal,
+    // so without them the faces get a single texture coordinate and flat normals.
+    if (hasTexCoords) {
+        mesh.tfac = mesh.face;
+    } else {
+        let t = mesh.tpos.length;
+        mesh.tpos.push([0, 0]);
+        mesh.tfac = mesh.face.map(function (f) {
+            return f.map(function () {
+                return t;
+            });
+        });
+    }
+    if (hasNormals) {
+        mesh.nfac = mesh.face;
+    } else {
+        mesh.nfac = mesh.face.map(function (f) {
+            let v = mesh.vpos;
+            let n = mesh.norm.length;
+            mesh.norm.push(
+                f.length >= 3
+                    ? TriangleNormal(v[f[0]], v[f[1]], v[f[2]])
+                    : [0, 0, 1]
+            );
+            return f.map(function () {
+                return n;
+            });
+        });
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////////
+// STL
+///////////////////////////////////////////////////////////////////////////////////
+
+// Parses an ASCII or binary STL file into the mesh.
+// The triangles share the vertices at the same positions and have the normals of their facets.
+// STL has no texture coordinates, so all vertices get the texture coordinate [0,0].
+function ParseSTL(mesh, data) {
+    let view = new DataView(data);
+    // Binary files can also start with "solid", so they are recognized by their size
+    let binary =
+        data.byteLength >= 84 &&
+        84 + 50 * view.getUint32(80, true) == data.byteLength;
+    let vertices = new Map();
+    let texCoord = mesh.tpos.length;
+    mesh.tpos.push([0, 0]);
+
+    function addVertex(p) {
+        let key = p.join(",");
+        let index = vertices.get(key);
+        if (index === undefined) {
+            index = mesh.vpos.length;
+            vertices.set(key, index);
+            mesh.vpos.push(p);
+        }
+        return index;
+    }
+
+    function addFacet(normal, points) {
+        // Facets without normals get the normals of their first triangles
+        if (normal[0] == 0 && normal[1] == 0 && normal[2] == 0) {
+            normal = TriangleNormal(points[0], points[1], points[2]);
+        }
+        mesh.norm.push(normal);
+        let n = mesh.norm.length - 1;
+        mesh.face.push(points.map(addVertex));
+        mesh.tfac.push(
+            points.map(function () {
+                return texCoord;
+            })
+        );
+        mesh.nfac.push(
+            points.map(function () {
+                return n;
+            })
+        );
+    }
+
+    if (binary) {
+        let count = view.getUint32(80, true);
+        if (count == 0) throw new Error("The STL file has no facets");
+        for (let i = 0; i < count; i++) {
+            let v = [];
+            for (let k = 0; k < 12; k++)
+                v.push(view.getFloat32(84 + 50 * i + 4 * k, true));
+            addFacet(v.slice(0, 3), [
+                v.slice(3, 6),
+                v.slice(6, 9),
+                v.slice(9, 12),
+            ]);
+        }
+        return;
+    }
+
+    let lines = new TextDecoder().decode(data).split("\n");
+    let normal = null;
+    let points = [];
+    for (let i = 0; i < lines.length; i++) {
+        let elem = lines[i].trim().split(/\s+/);
+        let values = elem
+            .slice(elem[0] == "facet" ? 2 : 1, elem[0] == "facet" ? 5 : 4)
+            .map(parseFloat);
+        switch (elem[0]) {
+            case "facet":
+                if (values.length < 3 || values.some(isNaN))
+                    throw new Error("Line " + (i + 1) + ": invalid normal");
+                normal = values;
+                points = [];
+                break;
+            case "vertex":
+                if (values.length < 3 || values.some(isNaN))
+                    throw new Error("Line " + (i + 1) + ": invalid vertex");
+                points.push(values);
+                break;
+            case "endfacet":
+                if (!normal || points.length < 3)
+                    throw new Error("Line " + (i + 1) + ": incomplete facet");
+                addFacet(normal, points);
+                normal = null;
+                break;
+        }
+    }
+    if (mesh.face.length == 0) throw new Error("Invalid STL file");
+}
+
+// Returns the unit normal of the triangle with the corners a, b, and c in counter-clockwise order.
+function TriangleNormal(a, b, c) {
+    let e0 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    let e1 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    let n = [
+        e0[1] * e1[2] - e0[2] * e1[1],
+        e0[2] * e1[0] - e0[0] * e1[2],
+        e0[0] * e1[1] - e0[1] * e1[0],
+    ];
+    let len = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]) || 1;
+    return [n[0] / len, n[1] / len, n[2] / len];
+}
+
+///////////////////////////////////////////////////////////////////////////////////
+// glTF 2.0
+///////////////////////////////////////////////////////////////////////////////////
+
+// Byte sizes, DataView getters, and maximum values for normalization of the glTF component types
+const GLTF_COMPONENT_TYPES = {
+    5120: [1, "getInt8", 127],
+    5121: [1, "getUint8", 255],
+    5122: [2, "getInt16", 32767],
+    5123: [2, "getUint16", 65535],
+    5125: [4, "getUint32", 4294967295],
+    5126: [4, "getFloat32", 1],
+};
+
+// Numbers of components of the glTF accessor types
+const GLTF_TYPE_SIZES = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16,
+};
+
+// Parses a glTF 2.0 asset into the mesh, given as the JSON text of a .gltf file or as a binary .glb file.
+// The triangles of the meshes in the default scene are transformed by their nodes, and each glTF material
+// becomes a material of the mesh, as from an mtl file, with its base color texture as map_Kd.
+// Texture images stored in the buffers are given as object URLs.
+// Returns a Promise that resolves to the mesh when the buffers are loaded with getFile.
+function ParseGLTF(mesh, data, getFile) {
+    let view = new DataView(data);
+    let json = null;
+    let bin = null;
+    if (data.byteLength >= 12 && view.getUint32(0, true) == 0x46546c67) {
+        // The binary container has a JSON chunk and an optional binary chunk after the 12-byte header
+        if (view.getUint32(4, true) != 2)
+            throw new Error("Only glTF 2.0 is supported");
+        for (let offset = 12; offset + 8 <= data.byteLength; ) {
+            let length = view.getUint32(offset, true);
+            let type = view.getUint32(offset + 4, true);
+            let chunk = data.slice(offset + 8, offset + 8 + length);
+            if (type == 0x4e4f534a)
+                json = JSON.parse(new TextDecoder().decode(chunk));
+            else if (type == 0x004e4942) bin = chunk;
+            offset += 8 + length;
+        }
+    } else {
+        json = JSON.parse(new TextDecoder().decode(data));
+    }
+    if (!json || !json.asset || String(json.asset.version)[0] != "2") {
+        throw new Error("Only glTF 2.0 is supported");
+    }
+
+    let buffers = (json.buffers || []).map(function (buffer) {
+        if (buffer.uri === undefined) {
+            return bin
+                ? bin
+                : Promise.reject(new Error("glTF buffer without data"));
+        }
+        if (buffer.uri.startsWith("data:")) return DecodeDataURI(buffer.uri);
+        return getFile(decodeURIComponent(buffer.uri));
+    });
+    return Promise.all(buffers).then(function (buffers) {
+        AddGLTFScene(mesh, json, buffers);
+        return mesh;
+    });
+}
+
+// Adds the meshes of the default scene of the glTF asset to the mesh.
+// Without scenes, the meshes are added without transformations.
+function AddGLTFScene(mesh, json, buffers) {
+    function addNode(index, parentMatrix) {
+        let node = json.nodes[index];
+        let matrix = MultiplyMatrix4(parentMatrix, GLTFNodeMatrix(node));
+        if (node.mesh !== undefined)
+            AddGLTFMesh(mesh, json, buffers, node.mesh, matrix);
+        (node.children || []).forEach(function (child) {
+            addNode(child, matrix);
+        });
+    }
+    let identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    let scene = json.scenes ? json.scenes[json.scene || 0] : null;
+    if (scene) {
+        (scene.nodes || []).forEach(function (node) {
+            addNode(node, identity);
+        });
+    } else {
+        (json.meshes || []).forEach(function (m, i) {
+            AddGLTFMesh(mesh, json, buffers, i, identity);
+        });
+    }
+    if (mesh.face.length == 0)
+        throw new Error("The glTF scene has no triangles");
+}
+
+// Adds the triangles of the glTF mesh with the given index, transformed by the column-major 4x4 matrix.
+function AddGLTFMesh(mesh, json, buffers, index, matrix) {
+    // Normals are transformed by the inverse transpose of the upper 3x3 matrix.
+    // Its cofactor matrix is the inverse transpose times the determinant, so the
+    // normals are flipped back for mirroring matrices, which have negative
+    // determinants and also reverse the triangles.
+    let m = matrix;
+    let cofactor = [
+        m[5] * m[10] - m[6] * m[9],
+        m[6] * m[8] - m[4] * m[10],
+        m[4] * m[9] - m[5] * m[8],
+        m[2] * m[9] - m[1] * m[10],
+        m[0] * m[10] - m[2] * m[8],
+        m[1] * m[8] - m[0] * m[9],
+        m[1] * m[6] - m[2] * m[5],
+        m[2] * m[4] - m[0] * m[6],
+        m[0] * m[5] - m[1] * m[4],
+    ];
+    let mirrored =
+        m[0] * cofactor[0] + m[1] * cofactor[1] + m[2] * cofactor[2] < 0;
+
+    let primitives = json.meshes[index].primitives;
+    for (let p = 0; p < primitives.length; p++) {
+        let primitive = primitives[p];
+        let mode = primitive.mode === undefined ? 4 : primitive.mode;
+        // Points and lines are not drawn
+        if (mode < 4) continue;
+        let attributes = primitive.attributes;
+        if (attributes.POSITION === undefined) continue;
+
+        let positions = ReadGLTFAccessor(json, buffers, attributes.POSITION);
+        let vbase = mesh.vpos.length;
+        for (let i = 0; i < positions.length; i += 3) {
+            let x = positions[i];
+            let y = positions[i + 1];
+            let z = positions[i + 2];
+            mesh.vpos.push([
+                m[0] * x + m[4] * y + m[8] * z + m[12],
+                m[1] * x + m[5] * y + m[9] * z + m[13],
+                m[2] * x + m[6] * y + m[10] * z + m[14],
+            ]);
+        }
+        let count = positions.length / 3;
+
+        // Primitives without texture coordinates or normals refer to a single texture coordinate
+        // or the normals of their triangles, so that all faces have them
+        let tbase = mesh.tpos.length;
+        let texCoords = attributes.TEXCOORD_0 !== undefined;
+        if (texCoords) {
+            let uv = ReadGLTFAccessor(json, buffers, attributes.TEXCOORD_0);
+            // glTF texture coordinates start at the top of the image, unlike obj texture coordinates
+            for (let i = 0; i < uv.length; i += 2)
+                mesh.tpos.push([uv[i], 1 - uv[i + 1]]);
+        } else {
+            mesh.tpos.push([0, 0]);
+        }
+        let nbase = mesh.norm.length;
+        let normals = attributes.NORMAL !== undefined;
+        if (normals) {
+            let n = ReadGLTFAccessor(json, buffers, attributes.NORMAL);
+            for (let i = 0; i < n.length; i += 3) {
+                let c = cofactor;
+                let v = [
+                    c[0] * n[i] + c[3] * n[i + 1] + c[6] * n[i + 2],
+                    c[1] * n[i] + c[4] * n[i + 1] + c[7] * n[i + 2],
+                    c[2] * n[i] + c[5] * n[i + 1] + c[8] * n[i + 2],
+                ];
+                let len =
+                    Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) || 1;
+                if (mirrored) len = -len;
+                mesh.norm.push([v[0] / len, v[1] / len, v[2] / len]);
+            }
+        }
+
+        let indices =
+            primitive.indices !== undefined
+                ? ReadGLTFAccessor(json, buffers, primitive.indices)
+                : null;
+        let vertex = function (i) {
+            let v = indices ? indices[i] : i;
+            if (!(v >= 0 && v < count))
+                throw new Error("glTF index " + v + " is out of range");
+            return v;
+        };
+        let length = indices ? indices.length : count;
+
+        if (json.materials && primitive.material !== undefined) {
+            let name = "material" + primitive.material;
+            if (!mesh.materials) mesh.materials = {};
+            if (!mesh.materials[name])
+                mesh.materials[name] = GLTFMaterial(
+                    json,
+                    buffers,
+                    primitive.material
+                );
+            // Meshes that do not keep track of materials draw all triangles alike
+            if (mesh.setPart) mesh.setPart("material", name);
+        } else if (mesh.setPart) {
+            mesh.setPart("material", "");
+        }
+
+        function addTriangle(a, b, c) {
+            let f = mirrored ? [a, c, b] : [a, b, c];
+            mesh.face.push(
+                f.map(function (v) {
+                    return vbase + v;
+                })
+            );
+            mesh.tfac.push(
+                f.map(function (v) {
+                    return texCoords ? tbase + v : tbase;
+                })
+            );
+            if (normals) {
+                mesh.nfac.push(
+                    f.map(function (v) {
+                        return nbase + v;
+                    })
+                );
+            } else {
+                let t = mesh.face[mesh.face.length - 1];
+                mesh.norm.push(
+                    TriangleNormal(
+                        mesh.vpos[t[0]],
+                        mesh.vpos[t[1]],
+                        mesh.vpos[t[2]]
+                    )
+                );
+                let n = mesh.norm.length - 1;
+                mesh.nfac.push([n, n, n]);
+            }
+        }
+        if (mode == 4) {
+            for (let i = 0; i + 2 < length; i += 3)
+                addTriangle(vertex(i), vertex(i + 1), vertex(i + 2));
+        } else if (mode == 5) {
+            // Every other triangle of a strip has the reverse order
+            for (let i = 0; i + 2 < length; i++) {
+                if (i % 2) addTriangle(vertex(i + 1), vertex(i), vertex(i + 2));
+                else addTriangle(vertex(i), vertex(i + 1), vertex(i + 2));
+            }
+        } else if (mode == 6) {
+            for (let i = 1; i + 1 < length; i++)
+                addTriangle(vertex(0), vertex(i), vertex(i + 1));
+        }
+    }
+}
+
+// Returns the values of the glTF accessor with the given index as a flat array.
+function ReadGLTFAccessor(json, buffers, index) {
+    let accessor = json.accessors[index];
+    let size = GLTF_TYPE_SIZES[accessor.type];
+    let type = GLTF_COMPONENT_TYPES[accessor.componentType];
+    if (!size || !type) throw new Error("Unsupported glTF accessor " + index);
+    if (accessor.sparse)
+        throw new Error("Sparse glTF accessors are not supported");
+    let values = new Float64Array(accessor.count * size);
+    // Accessors without buffer views are all zeros
+    if (accessor.bufferView === undefined) return values;
+    let bufferView = json.bufferViews[accessor.bufferView];
+    let buffer = buffers[bufferView.buffer];
+    let offset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    let stride = bufferView.byteStride || type[0] * size;
+    if (
+        accessor.count > 0 &&
+        offset + stride * (accessor.count - 1) + type[0] * size >
+            buffer.byteLength
+    ) {
+        throw new Error("glTF accessor " + index + " is outside of its buffer");
+    }
+    let view = new DataView(buffer, offset);
+    let getter = view[type[1]].bind(view);
+    for (let i = 0; i < accessor.count; i++) {
+        for (let c = 0; c < size; c++) {
+            let value = getter(i * stride + c * type[0], true);
+            values[i * size + c] = accessor.normalized
+                ? Math.max(value / type[2], -1)
+                : value;
+        }
+    }
+    return values;
+}
+
+// Returns the local transformation of the glTF node as a column-major 4x4 matrix.
+function GLTFNodeMatrix(node) {
+    if (node.matrix) return node.matrix;
+    let t = node.translation || [0, 0, 0];
+    let q = node.rotation || [0, 0, 0, 1];
+    let s = node.scale || [1, 1, 1];
+    let x = q[0];
+    let y = q[1];
+    let z = q[2];
+    let w = q[3];
+    // Translation * rotation * scale
+    return [
+        (1 - 2 * (y * y + z * z)) * s[0],
+        2 * (x * y + z * w) * s[0],
+        2 * (x * z - y * w) * s[0],
+        0,
+        2 * (x * y - z * w) * s[1],
+        (1 - 2 * (x * x + z * z)) * s[1],
+        2 * (y * z + x * w) * s[1],
+        0,
+        2 * (x * z + y * w) * s[2],
+        2 * (y * z - x * w) * s[2],
+        (1 - 2 * (x * x + y * y)) * s[2],
+        0,
+        t[0],
+        t[1],
+        t[2],
+        1,
+    ];
+}
+
+// Returns the product of the column-major 4x4 matrices a and b.
+function MultiplyMatrix4(a, b) {
+    let c = [];
+    for (let j = 0; j < 4; j++) {
+        for (let i = 0; i < 4; i++) {
+            let v = 0;
+            for (let k = 0; k < 4; k++) v += a[k * 4 + i] * b[j * 4 + k];
+            c.push(v);
+        }
+    }
+    return c;
+}
+
+// Returns the glTF material with the given index as a material of an mtl file.
+// The metallic-roughness model is approximated with a specular color that fades with the roughness,
+// and a specular exponent that grows as the surface gets smoother.
+function GLTFMaterial(json, buffers, index) {
+    let material = json.materials[index];
+    let pbr = material.pbrMetallicRoughness || {};
+    let color = pbr.baseColorFactor || [1, 1, 1, 1];
+    let roughness = pbr.roughnessFactor === undefined ? 1 : pbr.roughnessFactor;
+    let specular = 1 - roughness;
+    let r4 = Math.pow(Math.max(roughness, 0.05), 4);
+    return {
+        Ka: [0, 0, 0],
+        Kd: color.slice(0, 3),
+        Ks: [specular, specular, specular],
+        Ns: Math.min(1000, Math.max(1, 2 / r4 - 2)),
+        d: material.alphaMode == "BLEND" ? color[3] : 1,
+        illum: 2,
+        map_Kd: pbr.baseColorTexture
+            ? GLTFImageURI(json, buffers, pbr.baseColorTexture.index)
+            : null,
+        map_Ks: null,
+        map_Bump: null,
+    };
+}
+
+// Returns the URI of the image of the glTF texture with the given index, or null if it has none.
+// Images stored in a buffer get object URLs.
+function GLTFImageURI(json, buffers, index) {
+    let texture = json.textures[index];
+    if (texture.source === undefined) return null;
+    let image = json.images[texture.source];
+    if (image.uri !== undefined)
+        return image.uri.startsWith("data:")
+            ? image.uri
+            : decodeURIComponent(image.uri);
+    let bufferView = json.bufferViews[image.bufferView];
+    let offset = bufferView.byteOffset || 0;
+    let bytes = new Uint8Array(
+        buffers[bufferView.buffer],
+        offset,
+        bufferView.byteLength
+    );
+    return URL.createObjectURL(new Blob([bytes], { type: image.mimeType }));
+}
+
+// Returns a Promise that resolves to the contents of the data URI as an ArrayBuffer.
+function DecodeDataURI(uri) {
+    let comma = uri.indexOf(",");
+    let header = uri.slice(0, comma);
+    let body = uri.slice(comma + 1);
+    let text = header.endsWith(";base64")
+        ? atob(body)
+        : decodeURIComponent(body);
+    let bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+    return Promise.resolve(bytes.buffer);
+}
@@ -0,0 +1,116 @@
+// Loading of the models of the viewers from the selected files or from a URL.
+// The models can be in any format of GetMeshFormat, so obj.js and meshimport.js are
+// included before this file. The progress and errors are shown in the obj-status element.
+
+// Loads the model among the selected files and calls setMesh(mesh, getURL) with it.
+// The files that the model refers to, like glTF buffers, mtl files, and textures, can be
+// selected together with it, and they are matched by their names without folders.
+// getURL(name) returns an object URL of such a file, or null if it is not selected.
+function LoadMeshFiles(fileList, setMesh) {
+    let status = document.getElementById("obj-status");
+    let files = Array.from(fileList);
+    let model = files.find(function (file) {
+        return GetMeshFormat(file.name);
+    });
+    if (!model) {
+        status.innerText = "Unsupported model format: " + files[0].name;
+        return;
+    }
+    function findFile(name) {
+        let base = name.split(/[\\/]/).pop().toLowerCase();
+        return files.find(function (file) {
+            return file.name.toLowerCase() == base;
+        });
+    }
+    model
+        .arrayBuffer()
+        .then(function (data) {
+            return ImportMesh(data, GetMeshFormat(model.name), function (uri) {
+                let file = findFile(uri);
+                return file
+                    ? file.arrayBuffer()
+                    : Promise.reject(new Error("Cannot find " + uri));
+            });
+        })
+        .then(function (mesh) {
+            status.innerText = "";
+            setMesh(mesh, function (name) {
+                let file = findFile(name);
+                return file ? URL.createObjectURL(file) : null;
+            });
+        })
+        .catch(function (err) {
+            status.innerText = model.name + ": " + err.message;
+        });
+}
+
+// Loads the model at the URL and calls setMesh(mesh, getURL) with it, showing the progress.
+// URLs without a known extension are loaded as obj files.
+// getURL(name) returns the URL of a file that the model refers to, relative to the model.
+function LoadMeshURL(url, setMesh) {
+    let status = document.getElementById("obj-status");
+    let base = new URL(url, document.baseURI);
+    function getURL(name) {
+        return new URL(name, base).href;
+    }
+    let format = GetMeshFormat(url) || "obj";
+    let loaded;
+    if (format == "obj") {
+        let mesh = new ObjMesh();
+        loaded = mesh
+            .load(url, function (stage, fraction) {
+                status.innerText =
+                    (stage == "download" ? "Downloading " : "Parsing ") +
+                    Math.round(fraction * 100) +
+                    "%";
+            })
+            .then(function () {
+                return mesh;
+            });
+    } else {
+        loaded = LoadArrayBuffer(url, function (fraction) {
+            status.innerText =
+                "Downloading " + Math.round(fraction * 100) + "%";
+        }).then(function (data) {
+            return ImportMesh(data, format, function (uri) {
+                return LoadArrayBuffer(getURL(uri));
+            });
+        });
+    }
+    loaded
+        .then(function (mesh) {
+            status.innerText = "";
+            setMesh(mesh, getURL);
+        })
+        .catch(function (err) {
+            status.innerText = err.message;
+        });
+}
+
+// Uses the first diffuse texture among the materials of the mesh, such as the base color
+// texture of a glTF file, as the texture of meshDrawer.
+// getURL(name) returns the URL of a file that the mesh refers to, or null if it is not available.
+function LoadMeshTexture(mesh, getURL) {
+    let status = document.getElementById("obj-status");
+    let materials = Object.values(mesh.materials || {});
+    let material = materials.find(function (m) {
+        return m.map_Kd;
+    });
+    if (!material) return;
+    // Textures of glTF files can be embedded in the file
+    let name = material.map_Kd;
+    let url = /^(data|blob):/.test(name) ? name : getURL(name);
+    if (!url) {
+        status.innerText = "Cannot find " + name;
+        return;
+    }
+    let img = document.getElementById("texture-img");
+    img.onload = function () {
+        meshDrawer.setTexture(img);
+        DrawScene();
+    };
+    img.onerror = function () {
+        status.innerText = "Cannot load " + name;
+    };
+    img.src = url;
+}
@@ -11,77 +11,139 @@ class ObjMesh {
     }
 
     // Reads the obj file at the given URL and parses it.
-    load(url) {
-        var xhttp = new XMLHttpRequest();
-        xhttp.onreadystatechange = function () {
-            if (this.readyState == 4 && this.status == 200) {
-                parse(this.responseText);
-            }
-        };
-        xhttp.open("GET", url, true);
-        xhttp.send();
+    // Returns a Promise that resolves to this mesh when it is ready, or
+    // rejects with an Error if the file cannot be downloaded or parsed.
+    // The optional onProgress(stage, fraction) is called with the stage
+    // "download" or "parse" and the completed fraction in [0,1].
+    load(url, onProgress) {
+        var mesh = this;
+        return new Promise(function (resolve, reject) {
+            var xhttp = new XMLHttpRequest();
+            xhttp.onprogress = function (e) {
+                if (onProgress && e.lengthComputable) {
+                    onProgress("download", e.loaded / e.total);
+                }
+            };
+            xhttp.onload = function () {
+                // Files that are not served over HTTP have the status 0
+                if (this.status != 200 && this.status != 0) {
+                    var status = this.status + " " + this.statusText;
+                    reject(new Error("Cannot load " + url + ": " + status));
+                    return;
+                }
+                if (onProgress) onProgress("download", 1);
+                // Parses a chunk of lines at a time, so that the page can
+                // show the progress
+                var lines = this.responseText.split("\n");
+                var i = 0;
+                function parseChunk() {
+                    try {
+                        var end = Math.min(i + 20000, lines.length);
+                        for (; i < end; ++i) mesh.parseLine(lines[i], i + 1);
+                    } catch (e) {
+                        reject(new Error(url + ": " + e.message));
+                        return;
+                    }
+                    if (onProgress) onProgress("parse", i / lines.length);
+                    if (i < lines.length) setTimeout(parseChunk, 0);
+                    else if (mesh.vpos.length == 0) {
+                        reject(new Error(url + ": the file has no vertices"));
+                    } else resolve(mesh);
+                }
+                parseChunk();
+            };
+            xhttp.onerror = function () {
+                reject(new Error("Cannot load " + url));
+            };
+            xhttp.open("GET", url, true);
+            xhttp.send();
+        });
     }
 
     // Parses the contents of an obj file.
+    // Throws an Error with the line number if the file is malformed,
+    // or if it has no vertices.
     parse(objdata) {
         var lines = objdata.split("\n");
         for (var i = 0; i < lines.length; ++i) {
-            var line = lines[i].trim();
-            var elem = line.split(/\s+/);
-            switch (elem[0][0]) {
-                case "v":
-                    switch (elem[0].length) {
-                        case 1:
-                            this.vpos.push([
-                                parseFloat(elem[1]),
-                                parseFloat(elem[2]),
-                                parseFloat(elem[3]),
-                            ]);
-                            break;
-                        case 2:
-                            switch (elem[0][1]) {
-                                case "t":
-                                    this.tpos.push([
-                                        parseFloat(elem[1]),
-                                        parseFloat(elem[2]),
-                                    ]);
-                                    break;
-                                case "n":
-                                    this.norm.push([
-                                        parseFloat(elem[1]),
-                                        parseFloat(elem[2]),
-                                        parseFloat(elem[3]),
-                                    ]);
-                                    break;
-                            }
-                            break;
-                    }
-                    break;
-                case "f":
-                    var f = [],
-                        tf = [],
-                        nf = [];
-                    for (var j = 1; j < elem.length; ++j) {
-                        var ids = elem[j].split("/");
-                        var vid = parseInt(ids[0]);
-                        if (vid < 0) vid = this.vpos.length + vid + 1;
-                        f.push(vid - 1);
-                        if (ids.length > 1 && ids[1] !== "") {
-                            var tid = parseInt(ids[1]);
-                            if (tid < 0) tid = this.tpos.length + tid + 1;
-                            tf.push(tid - 1);
-                        }
-                        if (ids.length > 2 && ids[2] !== "") {
-                            var nid = parseInt(ids[2]);
-                            if (nid < 0) nid = this.norm.length + nid + 1;
-                            nf.push(nid - 1);
+            this.parseLine(lines[i], i + 1);
+        }
+        if (this.vpos.length == 0) throw new Error("The file has no vertices");
+    }
+
+    // Parses a line of an obj file with the given line number.
+    parseLine(line, lineNumber) {
+        function error(message) {
+            throw new Error("Line " + lineNumber + ": " + message);
+        }
+        function numbers(elem, count, name) {
+            var v = [];
+            for (var k = 1; k <= count; ++k) {
+                v.push(parseFloat(elem[k]));
+                if (isNaN(v[k - 1])) error("invalid " + name);
+            }
+            return v;
+        }
+        // Returns the zero-based index of the one-based or negative index id
+        // into an array of the given length.
+        function index(id, length, name) {
+            var i = parseInt(id);
+            if (i < 0) i = length + i + 1;
+            if (!(i >= 1 && i <= length)) error(name + " " + id + " not found");
+            return i - 1;
+        }
+        var elem = line.trim().split(/\s+/);
+        switch (elem[0][0]) {
+            case "v":
+                switch (elem[0].length) {
+                    case 1:
+                        this.vpos.push(numbers(elem, 3, "vertex position"));
+                        break;
+                    case 2:
+                        switch (elem[0][1]) {
+                            case "t":
+                                if (elem.length == 2) elem.push("0"); // v is optional
+                                this.tpos.push(
+                                    numbers(elem, 2, "texture coordinate")
+                                );
+                                break;
+                            case "n":
+                                this.norm.push(numbers(elem, 3, "normal"));
+                                break;
                         }
+                        break;
+                }
+                break;
+            case "f":
+                var f = [],
+                    tf = [],
+                    nf = [];
+                for (var j = 1; j < elem.length; ++j) {
+                    var ids = elem[j].split("/");
+                    f.push(index(ids[0], this.vpos.length, "vertex"));
+                    if (ids.length > 1 && ids[1] !== "") {
+                        tf.push(
+                            index(
+                                ids[1],
+                                this.tpos.length,
+                                "texture coordinate"
+                            )
+                        );
                     }
-                    this.face.push(f);
-                    if (tf.length) this.tfac.push(tf);
-                    if (nf.length) this.nfac.push(nf);
-                    break;
-            }
+                    if (ids.length > 2 && ids[2] !== "") {
+                        nf.push(index(ids[2], this.norm.length, "normal"));
+                    }
+                }
+                if (tf.length && tf.length != f.length) {
+                    error("texture coordinates are missing for some vertices");
+                }
+                if (nf.length && nf.length != f.length) {
+                    error("normals are missing for some vertices");
+                }
+                this.face.push(f);
+                if (tf.length) this.tfac.push(tf);
+                if (nf.length) this.nfac.push(nf);
+                break;
         }
     }
 
@@ -188,4 +250,47 @@ class ObjMesh {
             normalBuffer: nBuffer,
         };
     }
+
+    // Returns indexed vertex buffers of the mesh, in which the triangles share their vertices.
+    // Each unique combination of a position, a texture coordinate, and a normal of the face
+    // vertices becomes one vertex, so vertices are only duplicated along texture and normal seams.
+    // elementBuffer holds three vertex indices for each triangle.
+    getElementBuffers() {
+        var vBuffer = [];
+        var tBuffer = [];
+        var nBuffer = [];
+        var eBuffer = [];
+        var vertices = new Map(); // vertex index of each "position/texture/normal" key
+
+        function addVertex(mesh, fi, i) {
+            var v = mesh.face[fi][i];
+            var t = mesh.tfac[fi] ? mesh.tfac[fi][i] : -1;
+            var n = mesh.nfac[fi] ? mesh.nfac[fi][i] : -1;
+            var key = v + "/" + t + "/" + n;
+            var index = vertices.get(key);
+            if (index === undefined) {
+                index = vertices.size;
+                vertices.set(key, index);
+                vBuffer.push(...mesh.vpos[v]);
+                tBuffer.push(...(t >= 0 ? mesh.tpos[t] : [0, 0]));
+                nBuffer.push(...(n >= 0 ? mesh.norm[n] : [0, 0, 0]));
+            }
+            eBuffer.push(index);
+        }
+
+        for (var i = 0; i < this.face.length; ++i) {
+            for (var j = 2; j < this.face[i].length; ++j) {
+                addVertex(this, i, 0);
+                addVertex(this, i, j - 1);
+                addVertex(this, i, j);
+            }
+        }
+
+        return {
+            elementBuffer: eBuffer,
+            positionBuffer: vBuffer,
+            texCoordBuffer: tBuffer,
+            normalBuffer: nBuffer,
+        };
+    }
 }
@@ -55,6 +55,10 @@ class MeshDrawer {
     constructor() {
         this.vertexBuffer = gl.createBuffer();
         this.texCoordBuffer = gl.createBuffer();
+        this.indexBuffer = gl.createBuffer();
+
+        // Meshes with more than 65536 vertices need 32-bit indices
+        this.uintIndices = gl.getExtension("OES_element_index_uint");
 
         const vertexSource = `
         attribute vec3 aPosition;
@@ -108,9 +112,30 @@ class MeshDrawer {
     // position and every three consecutive vertex positions form a triangle.
     // Similarly, every two consecutive elements in the texCoords array
     // form the texture coordinate of a vertex.
+    // The optional indices array holds three vertex indices for each triangle,
+    // so that the triangles can share their vertices, as in getElementBuffers.
     // Note that this method can be called multiple times.
-    setMesh(vertPos, texCoords) {
+    setMesh(vertPos, texCoords, indices) {
         this.numTriangles = vertPos.length / 3;
+        this.numElements = 0;
+        if (indices) {
+            let large = this.numTriangles > 65536;
+            if (large && !this.uintIndices) {
+                // Without 32-bit indices, the triangles of large meshes do not share vertices
+                vertPos = ExpandVertices(vertPos, indices, 3);
+                texCoords = ExpandVertices(texCoords, indices, 2);
+                this.numTriangles = indices.length;
+            } else {
+                this.numElements = indices.length;
+                this.indexType = large ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+                gl.bufferData(
+                    gl.ELEMENT_ARRAY_BUFFER,
+                    large ? new Uint32Array(indices) : new Uint16Array(indices),
+                    gl.STATIC_DRAW
+                );
+            }
+        }
 
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
         gl.bufferData(
@@ -153,7 +178,12 @@ class MeshDrawer {
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, this.texture);
 
-        gl.drawArrays(gl.TRIANGLES, 0, this.numTriangles);
+        if (this.numElements) {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+            gl.drawElements(gl.TRIANGLES, this.numElements, this.indexType, 0);
+        } else {
+            gl.drawArrays(gl.TRIANGLES, 0, this.numTriangles);
+        }
     }
 
     // This method is called to set the texture of the mesh.
@@ -177,3 +207,14 @@ class MeshDrawer {
         gl.uniform1i(this.uShowTex, show ? 1 : 0);
     }
 }
+
+// Returns the values of the vertices with the given indices, where each vertex has dim values.
+function ExpandVertices(values, indices, dim) {
+    let expanded = new Array(indices.length * dim);
+    for (let i = 0; i < indices.length; i++) {
+        for (let d = 0; d < dim; d++) {
+            expanded[i * dim + d] = values[indices[i] * dim + d];
+        }
+    }
+    return expanded;
+}
@@ -10,67 +10,218 @@ class ObjMesh
 		this.tfac = [];	// face texture coordinate indices
 		this.norm = [];	// surface normals
 		this.nfac = [];	// face surface normal indices
+		this.mtllib = [];	// material library file names
+		this.materials = {};	// materials by name, read from the material libraries
+		this.parts = [];	// { start, group, object, material, smooth } of the consecutive faces from the face index start
 	}
 	
 	// Reads the obj file at the given URL and parses it.
-	load( url )
+	// Returns a Promise that resolves to this mesh when it is ready, or rejects with an Error
+	// if the file cannot be downloaded or parsed. The optional onProgress(stage,fraction) is
+	// called with the stage "download" or "parse" and the completed fraction in [0,1].
+	load( url, onProgress )
 	{
-		var xhttp = new XMLHttpRequest();
-		xhttp.onreadystatechange = function() {
-			if (this.readyState == 4 && this.status == 200) {
-				parse( this.responseText );
+		var mesh = this;
+		return LoadTextFile( url, function( fraction ) {
+			if ( onProgress ) onProgress( "download", fraction );
+		}).then( function( objdata ) {
+			return new Promise( function( resolve, reject ) {
+				// Parses a chunk of lines at a time, so that the page can show the progress
+				var lines = objdata.split('\n');
+				var i = 0;
+				function parseChunk() {
+					try {
+						var end = Math.min( i + 20000, lines.length );
+						for ( ; i<end; ++i ) mesh.parseLine( lines[i], i+1 );
+					} catch ( e ) {
+						reject( new Error( url + ": " + e.message ) );
+						return;
+					}
+					if ( onProgress ) onProgress( "parse", i / lines.length );
+					if ( i < lines.length ) setTimeout( parseChunk, 0 );
+					else if ( mesh.vpos.length == 0 ) reject( new Error( url + ": the file has no vertices" ) );
+					else resolve( mesh );
+				}
+				parseChunk();
+			});
+		});
+	}
+	
+	// Reads the mtl material library at the given URL and adds its materials.
+	// Returns a Promise that resolves to this mesh, or rejects with an Error
+	// if the file cannot be downloaded or parsed.
+	loadMtl( url )
+	{
+		var mesh = this;
+		return LoadTextFile( url ).then( function( mtldata ) {
+			try {
+				mesh.parseMtl( mtldata );
+			} catch ( e ) {
+				throw new Error( url + ": " + e.message );
 			}
-		};
-		xhttp.open("GET", url, true);
-		xhttp.send();
+			return mesh;
+		});
 	}
 	
 	// Parses the contents of an obj file.
+	// Throws an Error with the line number if the file is malformed,
+	// or if it has no vertices.
 	parse( objdata )
 	{
 		var lines = objdata.split('\n');
 		for ( var i=0; i<lines.length; ++i ) {
-			var line = lines[i].trim();
-			var elem = line.split(/\s+/);
-			switch ( elem[0][0] ) {
-				case 'v':
-					switch ( elem[0].length ) {
-						case 1:
-							this.vpos.push( [ parseFloat(elem[1]), parseFloat(elem[2]), parseFloat(elem[3]) ] );
-							break;
-						case 2:
-							switch ( elem[0][1] ) {
-								case 't':
-									this.tpos.push( [ parseFloat(elem[1]), parseFloat(elem[2]) ] );
-									break;
-								case 'n':
-									this.norm.push( [ parseFloat(elem[1]), parseFloat(elem[2]), parseFloat(elem[3]) ] );
-									break;
-							}
-							break;
+			this.parseLine( lines[i], i+1 );
+		}
+		if ( this.vpos.length == 0 ) throw new Error( "The file has no vertices" );
+	}
+	
+	// Parses a line of an obj file with the given line number.
+	parseLine( line, lineNumber )
+	{
+		function error( message ) {
+			throw new Error( "Line " + lineNumber + ": " + message );
+		}
+		function numbers( elem, count, name ) {
+			var v = [];
+			for ( var k=1; k<=count; ++k ) {
+				v.push( parseFloat(elem[k]) );
+				if ( isNaN( v[k-1] ) ) error( "invalid " + name );
+			}
+			return v;
+		}
+		// Returns the zero-based index of the one-based or negative index id into an array of the given length.
+		function index( id, length, name ) {
+			var i = parseInt(id);
+			if ( i < 0 ) i = length + i + 1;
+			if ( !( i >= 1 && i <= length ) ) error( name + " " + id + " not found" );
+			return i - 1;
+		}
+		var elem = line.trim().split(/\s+/);
+		var name = elem.slice(1).join(' ');
+		switch ( elem[0][0] ) {
+			case 'v':
+				switch ( elem[0].length ) {
+					case 1:
+						this.vpos.push( numbers( elem, 3, "vertex position" ) );
+						break;
+					case 2:
+						switch ( elem[0][1] ) {
+							case 't':
+								if ( elem.length == 2 ) elem.push("0");	// v is optional
+								this.tpos.push( numbers( elem, 2, "texture coordinate" ) );
+								break;
+							case 'n':
+								this.norm.push( numbers( elem, 3, "normal" ) );
+								break;
+						}
+						break;
+				}
+				break;
+			case 'f':
+				var f=[], tf=[], nf=[];
+				for ( var j=1; j<elem.length; ++j ) {
+					var ids = elem[j].split('/');
+					f.push( index( ids[0], this.vpos.length, "vertex" ) );
+					if ( ids.length > 1 && ids[1] !== "" ) {
+						tf.push( index( ids[1], this.tpos.length, "texture coordinate" ) );
 					}
+					if ( ids.length > 2 && ids[2] !== "" ) {
+						nf.push( index( ids[2], this.norm.length, "normal" ) );
+					}
+				}
+				if ( tf.length && tf.length != f.length ) error( "texture coordinates are missing for some vertices" );
+				if ( nf.length && nf.length != f.length ) error( "normals are missing for some vertices" );
+				this.face.push(f);
+				if ( tf.length ) this.tfac.push(tf);
+				if ( nf.length ) this.nfac.push(nf);
+				break;
+			case 'm':
+				if ( elem[0] == 'mtllib' ) this.mtllib.push( ...elem.slice(1) );
+				break;
+			case 'u':
+				if ( elem[0] == 'usemtl' ) this.setPart( 'material', name );
+				break;
+			case 'g':
+				this.setPart( 'group', name );
+				break;
+			case 'o':
+				this.setPart( 'object', name );
+				break;
+			case 's':
+				this.setPart( 'smooth', name == 'off' ? 0 : parseInt(name) || 0 );
+				break;
+		}
+	}
+	
+	// Sets the group, object, material, or smoothing group of the faces that follow.
+	setPart( key, value )
+	{
+		if ( this.parts.length == 0 ) {
+			this.parts.push( { start: 0, group: "", object: "", material: "", smooth: 0 } );
+		}
+		var last = this.parts[ this.parts.length - 1 ];
+		if ( last[key] === value ) return;
+		var part = Object.assign( {}, last, { start: this.face.length } );
+		part[key] = value;
+		if ( last.start == this.face.length ) this.parts[ this.parts.length - 1 ] = part;
+		else this.parts.push( part );
+	}
+	
+	// Parses the contents of an mtl material library and adds its materials.
+	// Each material has the ambient, diffuse, and specular colors Ka, Kd, and Ks, the specular
+	// exponent Ns, which is null if it is not given, the opacity d, the illumination model illum,
+	// and the file names of the texture maps map_Kd, map_Ks, and map_Bump, which are null if not given.
+	// Throws an Error with the line number if the file is malformed.
+	parseMtl( mtldata )
+	{
+		var lines = mtldata.split('\n');
+		var mtl = null;
+		for ( var i=0; i<lines.length; ++i ) {
+			var elem = lines[i].trim().split(/\s+/);
+			var lineNumber = i + 1;
+			function check( valid, message ) {
+				if ( ! valid ) throw new Error( "Line " + lineNumber + ": " + message );
+			}
+			// Returns the current material, which must be defined before its properties
+			function material() {
+				check( mtl, elem[0] + " before newmtl" );
+				return mtl;
+			}
+			switch ( elem[0] ) {
+				case 'newmtl':
+					mtl = { Ka: [0,0,0], Kd: [1,1,1], Ks: [0,0,0], Ns: null, d: 1, illum: 2, map_Kd: null, map_Ks: null, map_Bump: null };
+					this.materials[ elem.slice(1).join(' ') ] = mtl;
 					break;
-				case 'f':
-					var f=[], tf=[], nf=[];
-					for ( var j=1; j<elem.length; ++j ) {
-						var ids = elem[j].split('/');
-						var vid = parseInt(ids[0]);
-						if ( vid < 0 ) vid = this.vpos.length + vid + 1;
-						f.push( vid - 1 );
-						if ( ids.length > 1 && ids[1] !== "" ) {
-							var tid = parseInt(ids[1]);
-							if ( tid < 0 ) tid = this.tpos.length + tid + 1;
-							tf.push( tid - 1 );
-						}
-						if ( ids.length > 2 && ids[2] !== "" ) {
-							var nid = parseInt(ids[2]);
-							if ( nid < 0 ) nid = this.norm.length + nid + 1;
-							nf.push( nid - 1 );
-						}
+				case 'Ka':
+				case 'Kd':
+				case 'Ks':
+					// A single value is a gray color
+					var color = ( elem.length == 2 ? [ elem[1], elem[1], elem[1] ] : elem.slice(1,4) ).map( parseFloat );
+					check( color.length == 3 && ! color.some( isNaN ), "invalid color " + elem[0] );
+					material()[ elem[0] ] = color;
+					break;
+				case 'Ns':
+				case 'd':
+				case 'Tr':
+				case 'illum':
+					var value = parseFloat( elem[1] );
+					check( ! isNaN(value), "invalid value of " + elem[0] );
+					if ( elem[0] == 'Tr' ) material().d = 1 - value;
+					else material()[ elem[0] ] = value;
+					break;
+				case 'map_Kd':
+				case 'map_Ks':
+				case 'map_Bump':
+				case 'map_bump':
+				case 'bump':
+					// The file name follows the options, which start with '-' and have numeric or on/off values
+					var j = 1;
+					while ( j < elem.length-1 && elem[j][0] == '-' ) {
+						for ( ++j; j < elem.length-1 && ( ! isNaN(parseFloat(elem[j])) || elem[j] == 'on' || elem[j] == 'off' ); ++j );
 					}
-					this.face.push(f);
-					if ( tf.length ) this.tfac.push(tf);
-					if ( nf.length ) this.nfac.push(nf);
+					var file = elem.slice(j).join(' ');
+					check( file != "", "missing file name of " + elem[0] );
+					material()[ elem[0] == 'map_Kd' || elem[0] == 'map_Ks' ? elem[0] : 'map_Bump' ] = file;
 					break;
 			}
 		}
@@ -134,21 +285,117 @@ class ObjMesh
 		buffer.push( v[f[i]][1] );
 	}
 
+	// Calls addTriangle( fi, i, j, k ) for the triangles of the faces, which are sorted by their materials,
+	// where fi is the index of the face and i, j, and k are the indices of the corners in the face.
+	// Returns the groups of consecutive triangles with the same material as { name, material, start, count },
+	// where start and count are in triangle corners, and material is the material of that name
+	// from the material libraries, or null if there is none.
+	forEachTriangle( addTriangle )
+	{
+		var groups = [];
+		var corners = 0;
+		var parts = this.parts.length ? this.parts : [ { start: 0, material: "" } ];
+		var names = [];
+		for ( var p=0; p<parts.length; ++p ) {
+			if ( names.indexOf( parts[p].material ) < 0 ) names.push( parts[p].material );
+		}
+		for ( var m=0; m<names.length; ++m ) {
+			var start = corners;
+			for ( var p=0; p<parts.length; ++p ) {
+				if ( parts[p].material != names[m] ) continue;
+				var end = p+1 < parts.length ? parts[p+1].start : this.face.length;
+				for ( var i=parts[p].start; i<end; ++i ) {
+					for ( var j=2; j<this.face[i].length; ++j ) {
+						addTriangle( i, 0, j-1, j );
+						corners += 3;
+					}
+				}
+			}
+			if ( corners > start ) {
+				groups.push( { name: names[m], material: this.materials[ names[m] ] || null, start: start, count: corners - start } );
+			}
+		}
+		return groups;
+	}
+
+	// Returns the vertex buffers of the triangles, which are sorted by their materials,
+	// with the groups of forEachTriangle, where start and count are in vertices.
 	getVertexBuffers()
 	{
 		var vBuffer = [];
 		var tBuffer = [];
 		var nBuffer = [];
+		var mesh = this;
+		var groups = this.forEachTriangle( function( fi, i, j, k ) {
+			mesh.addTriangleToBuffers( vBuffer, tBuffer, nBuffer, fi, i, j, k );
+		});
+		return { positionBuffer: vBuffer, texCoordBuffer: tBuffer, normalBuffer: nBuffer, groups: groups };
+	}
+
+	// Returns indexed vertex buffers of the triangles, which are sorted by their materials.
+	// Each unique combination of a position, a texture coordinate, and a normal of the face
+	// vertices becomes one vertex, so vertices are only duplicated along texture and normal seams.
+	// elementBuffer holds three vertex indices for each triangle, and the start and count
+	// of the groups of forEachTriangle are in elements.
+	getElementBuffers()
+	{
+		var vBuffer = [];
+		var tBuffer = [];
+		var nBuffer = [];
+		var eBuffer = [];
+		var vertices = new Map();	// vertex index of each "position/texture/normal" key
+		var mesh = this;
 		
-		for ( var i=0; i<this.face.length; ++i ) {
-			if ( this.face[i].length < 3 ) continue;
-			this.addTriangleToBuffers( vBuffer, tBuffer, nBuffer, i, 0, 1, 2 );
-			for ( var j=3; j<this.face[i].length; ++j ) {
-				this.addTriangleToBuffers( vBuffer, tBuffer, nBuffer, i, 0, j-1, j );
+		function addVertex( fi, i )
+		{
+			var v = mesh.face[fi][i];
+			var t = mesh.tfac[fi] ? mesh.tfac[fi][i] : -1;
+			var n = mesh.nfac[fi] ? mesh.nfac[fi][i] : -1;
+			var key = v + "/" + t + "/" + n;
+			var index = vertices.get( key );
+			if ( index === undefined ) {
+				index = vertices.size;
+				vertices.set( key, index );
+				vBuffer.push( ...mesh.vpos[v] );
+				tBuffer.push( ...( t >= 0 ? mesh.tpos[t] : [0,0] ) );
+				nBuffer.push( ...( n >= 0 ? mesh.norm[n] : [0,0,0] ) );
 			}
+			eBuffer.push( index );
 		}
 		
-		return { positionBuffer: vBuffer, texCoordBuffer: tBuffer, normalBuffer: nBuffer };
+		var groups = this.forEachTriangle( function( fi, i, j, k ) {
+			addVertex( fi, i );
+			addVertex( fi, j );
+			addVertex( fi, k );
+		});
+		return { elementBuffer: eBuffer, positionBuffer: vBuffer, texCoordBuffer: tBuffer, normalBuffer: nBuffer, groups: groups };
 	}
 	
 }
+
+// Downloads the text file at the given URL.
+// Returns a Promise that resolves to the contents of the file, or rejects with an Error.
+// The optional onProgress(fraction) is called with the downloaded fraction in [0,1].
+function LoadTextFile( url, onProgress )
+{
+	return new Promise( function( resolve, reject ) {
+		var xhttp = new XMLHttpRequest();
+		xhttp.onprogress = function(e) {
+			if ( onProgress && e.lengthComputable ) onProgress( e.loaded / e.total );
+		};
+		xhttp.onload = function() {
+			// Files that are not served over HTTP have the status 0
+			if ( this.status != 200 && this.status != 0 ) {
+				reject( new Error( "Cannot load " + url + ": " + this.status + " " + this.statusText ) );
+				return;
+			}
+			if ( onProgress ) onProgress( 1 );
+			resolve( this.responseText );
+		};
+		xhttp.onerror = function() {
+			reject( new Error( "Cannot load " + url ) );
+		};
+		xhttp.open("GET", url, true);
+		xhttp.send();
+	});
+}
@@ -46,6 +46,10 @@ class MeshDrawer {
         this.vertexBuffer = gl.createBuffer();
         this.texCoordBuffer = gl.createBuffer();
         this.normalBuffer = gl.createBuffer();
+        this.indexBuffer = gl.createBuffer();
+
+        // Meshes with more than 65536 vertices need 32-bit indices
+        this.uintIndices = gl.getExtension("OES_element_index_uint");
 
         const vertexSource = `
         attribute vec3 aPosition;
@@ -79,9 +83,14 @@ class MeshDrawer {
         precision mediump float;
 
         uniform sampler2D tex;
+        uniform sampler2D specTex;
         uniform bool uShowTex;
+        uniform bool uShowSpecTex;
         uniform vec3 uLightDir;
         uniform float uShininess;
+        uniform vec3 uKd;
+        uniform vec3 uKs;
+        uniform float uAlpha;
 
         varying vec2 vTexCoord;
         varying vec3 vNormal;
@@ -96,11 +105,11 @@ class MeshDrawer {
             float diff = max(dot(N, L), 0.0);
             float spec = pow(max(dot(N, H), 0.0), uShininess);
 
-            vec3 Kd = uShowTex ? texture2D(tex, vTexCoord).rgb : vec3(1.0);
-            vec3 Ks = vec3(1.0);
+            vec3 Kd = uKd * (uShowTex ? texture2D(tex, vTexCoord).rgb : vec3(1.0));
+            vec3 Ks = uKs * (uShowSpecTex ? texture2D(specTex, vTexCoord).rgb : vec3(1.0));
 
             vec3 color = Kd * diff + Ks * spec;
-            gl_FragColor = vec4(color, 1.0);
+            gl_FragColor = vec4(color, uAlpha);
         }`;
 
         this.prog = InitShaderProgram(vertexSource, fragmentSource);
@@ -116,14 +125,25 @@ class MeshDrawer {
         this.uShowTex = gl.getUniformLocation(this.prog, "uShowTex");
         this.uLightDir = gl.getUniformLocation(this.prog, "uLightDir");
         this.uShininess = gl.getUniformLocation(this.prog, "uShininess");
+        this.uShowSpecTex = gl.getUniformLocation(this.prog, "uShowSpecTex");
+        this.uKd = gl.getUniformLocation(this.prog, "uKd");
+        this.uKs = gl.getUniformLocation(this.prog, "uKs");
+        this.uAlpha = gl.getUniformLocation(this.prog, "uAlpha");
 
-        this.texture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.texture);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        // The diffuse texture uses the texture unit 0 and the specular texture the unit 1
+        gl.useProgram(this.prog);
+        gl.uniform1i(gl.getUniformLocation(this.prog, "tex"), 0);
+        gl.uniform1i(gl.getUniformLocation(this.prog, "specTex"), 1);
+
+        this.texture = this.createTexture();
+        this.hasTexture = false;
+        this.show = true;
 
         this.lightDir = [0.0, 0.0, 1.0];
         this.shininess = 30.0;
+
+        // Parts of the mesh that are drawn with their own textures and Phong parameters
+        this.groups = [];
     }
 
     // This method is called every time the user opens an OBJ file.
@@ -136,9 +156,61 @@ class MeshDrawer {
     // Similarly, every two consecutive elements in the texCoords array
     // form the texture coordinate of a vertex and every three consecutive
     // elements in the normals array form a vertex normal.
+    // The optional groups array splits the vertices into groups { start, count, material },
+    // which are drawn with the colors Kd and Ks, the specular exponent Ns, the opacity d,
+    // and the illumination model illum of their materials, as returned by getVertexBuffers.
+    // The optional indices array holds three vertex indices for each triangle,
+    // so that the triangles can share their vertices, as in getElementBuffers.
+    // The start and count of the groups are then in indices.
     // Note that this method can be called multiple times.
-    setMesh(vertPos, texCoords, normals) {
+    setMesh(vertPos, texCoords, normals, groups, indices) {
         this.numTriangles = vertPos.length / 3;
+        this.numElements = 0;
+        if (indices) {
+            let large = this.numTriangles > 65536;
+            if (large && !this.uintIndices) {
+                // Without 32-bit indices, the triangles of large meshes do not share vertices
+                vertPos = ExpandVertices(vertPos, indices, 3);
+                texCoords = ExpandVertices(texCoords, indices, 2);
+                normals = ExpandVertices(normals, indices, 3);
+                this.numTriangles = indices.length;
+            } else {
+                this.numElements = indices.length;
+                this.indexType = large ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+                this.indexSize = large ? 4 : 2;
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+                gl.bufferData(
+                    gl.ELEMENT_ARRAY_BUFFER,
+                    large ? new Uint32Array(indices) : new Uint16Array(indices),
+                    gl.STATIC_DRAW
+                );
+            }
+        }
+        if (!groups) {
+            let count = this.numElements || this.numTriangles;
+            groups = [{ start: 0, count: count, material: null }];
+        }
+        this.groups = groups.map(function (group) {
+            // Without a material, the mesh is white with white highlights
+            let m = group.material || {
+                Kd: [1, 1, 1],
+                Ks: [1, 1, 1],
+                Ns: null,
+                d: 1,
+                illum: 2,
+            };
+            return {
+                start: group.start,
+                count: group.count,
+                diffuse: m.Kd,
+                // Illumination models 0 and 1 have no highlights
+                specular: m.illum < 2 ? [0, 0, 0] : m.Ks,
+                shininess: m.Ns,
+                alpha: m.d,
+                texture: null,
+                specularTexture: null,
+            };
+        });
 
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
         gl.bufferData(
@@ -183,7 +255,6 @@ class MeshDrawer {
         gl.uniformMatrix3fv(this.uNormal, false, matrixNormal);
 
         gl.uniform3fv(this.uLightDir, this.lightDir);
-        gl.uniform1f(this.uShininess, this.shininess);
 
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
         gl.vertexAttribPointer(this.aPosition, 3, gl.FLOAT, false, 0, 0);
@@ -197,16 +268,71 @@ class MeshDrawer {
         gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
         gl.enableVertexAttribArray(this.aNormal);
 
+        // Transparent groups are blended over the opaque ones
+        let opaque = this.groups.filter(function (group) {
+            return group.alpha >= 1;
+        });
+        let transparent = this.groups.filter(function (group) {
+            return group.alpha < 1;
+        });
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        let groups = opaque.concat(transparent);
+        for (let i = 0; i < groups.length; i++) {
+            let group = groups[i];
+            let texture =
+                group.texture || (this.hasTexture ? this.texture : null);
+            gl.uniform1i(this.uShowTex, this.show && texture ? 1 : 0);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(
+                this.uShowSpecTex,
+                this.show && group.specularTexture ? 1 : 0
+            );
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, group.specularTexture);
+
+            gl.uniform3fv(this.uKd, group.diffuse);
+            gl.uniform3fv(this.uKs, group.specular);
+            gl.uniform1f(
+                this.uShininess,
+                group.shininess != null ? group.shininess : this.shininess
+            );
+            gl.uniform1f(this.uAlpha, group.alpha);
+            if (group.alpha < 1) {
+                gl.enable(gl.BLEND);
+                gl.depthMask(false);
+            }
+            if (this.numElements) {
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+                let offset = group.start * this.indexSize;
+                gl.drawElements(
+                    gl.TRIANGLES,
+                    group.count,
+                    this.indexType,
+                    offset
+                );
+            } else {
+                gl.drawArrays(gl.TRIANGLES, group.start, group.count);
+            }
+        }
+        gl.disable(gl.BLEND);
+        gl.depthMask(true);
         gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.texture);
-
-        gl.drawArrays(gl.TRIANGLES, 0, this.numTriangles);
     }
 
     // This method is called to set the texture of the mesh.
     // The argument is an HTML IMG element containing the texture data.
-    setTexture(img) {
-        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    // If the index of a group is given, the texture is only used for that group,
+    // and the other groups keep their own texture or the texture of the mesh.
+    setTexture(img, group) {
+        let texture = this.texture;
+        if (group !== undefined) {
+            texture = this.groups[group].texture || this.createTexture();
+            this.groups[group].texture = texture;
+        } else {
+            this.hasTexture = true;
+        }
+        gl.bindTexture(gl.TEXTURE_2D, texture);
 
         // You can set the texture image data using the following command.
         gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, gl.RGB, gl.UNSIGNED_BYTE, img);
@@ -215,12 +341,31 @@ class MeshDrawer {
         this.showTexture(true);
     }
 
+    // This method is called to set the specular texture of a group,
+    // which scales the specular color of its material.
+    setSpecularTexture(img, group) {
+        let texture =
+            this.groups[group].specularTexture || this.createTexture();
+        this.groups[group].specularTexture = texture;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, gl.RGB, gl.UNSIGNED_BYTE, img);
+        gl.generateMipmap(gl.TEXTURE_2D);
+    }
+
+    // Returns a new texture with linear filtering.
+    createTexture() {
+        let texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        return texture;
+    }
+
     // This method is called when the user changes the state of the
     // "Show Texture" checkbox.
     // The argument is a boolean that indicates if the checkbox is checked.
     showTexture(show) {
-        gl.useProgram(this.prog);
-        gl.uniform1i(this.uShowTex, show ? 1 : 0);
+        this.show = show;
     }
 
     // This method is called to set the incoming light direction
@@ -228,8 +373,22 @@ class MeshDrawer {
         this.lightDir = [x, y, z];
     }
 
-    // This method is called to set the shininess of the material
-    setShininess(shininess) {
-        this.shininess = shininess;
+    // This method is called to set the shininess of the material.
+    // If the index of a group is given, it replaces the specular exponent of its material.
+    // Otherwise, it is used for the groups whose materials do not have one.
+    setShininess(shininess, group) {
+        if (group !== undefined) this.groups[group].shininess = shininess;
+        else this.shininess = shininess;
+    }
+}
+
+// Returns the values of the vertices with the given indices, where each vertex has dim values.
+function ExpandVertices(values, indices, dim) {
+    let expanded = new Array(indices.length * dim);
+    for (let i = 0; i < indices.length; i++) {
+        for (let d = 0; d < dim; d++) {
+            expanded[i * dim + d] = values[indices[i] * dim + d];
+        }
     }
+    return expanded;
 }
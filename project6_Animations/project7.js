@@ -46,6 +46,10 @@ class MeshDrawer {
         this.vertexBuffer = gl.createBuffer();
         this.texCoordBuffer = gl.createBuffer();
         this.normalBuffer = gl.createBuffer();
+        this.indexBuffer = gl.createBuffer();
+
+        // Meshes with more than 65536 vertices need 32-bit indices
+        this.uintIndices = gl.getExtension("OES_element_index_uint");
 
         const vertexSource = `
         attribute vec3 aPosition;
@@ -136,9 +140,33 @@ class MeshDrawer {
     // Similarly, every two consecutive elements in the texCoords array
     // form the texture coordinate of a vertex and every three consecutive
     // elements in the normals array form a vertex normal.
+    // The optional indices array holds three vertex indices for each triangle,
+    // so that the triangles can share their vertices, as in getElementBuffers.
     // Note that this method can be called multiple times.
-    setMesh(vertPos, texCoords, normals) {
+    setMesh(vertPos, texCoords, normals, indices) {
         this.numTriangles = vertPos.length / 3;
+        this.numElements = 0;
+        this.expandIndices = null;
+        if (indices) {
+            let large = this.numTriangles > 65536;
+            if (large && !this.uintIndices) {
+                // Without 32-bit indices, the triangles of large meshes do not share vertices
+                this.expandIndices = indices;
+                vertPos = ExpandVertices(vertPos, indices, 3);
+                texCoords = ExpandVertices(texCoords, indices, 2);
+                normals = ExpandVertices(normals, indices, 3);
+                this.numTriangles = indices.length;
+            } else {
+                this.numElements = indices.length;
+                this.indexType = large ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+                gl.bufferData(
+                    gl.ELEMENT_ARRAY_BUFFER,
+                    large ? new Uint32Array(indices) : new Uint16Array(indices),
+                    gl.STATIC_DRAW
+                );
+            }
+        }
 
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
         gl.bufferData(
@@ -162,6 +190,30 @@ class MeshDrawer {
         );
     }
 
+    // This method is called to update the vertex positions and normals of the mesh
+    // for every step of the simulation. The arrays have the same format as in setMesh,
+    // and the texture coordinates and the triangles do not change.
+    updateVertices(vertPos, normals) {
+        if (this.expandIndices) {
+            vertPos = ExpandVertices(vertPos, this.expandIndices, 3);
+            normals = ExpandVertices(normals, this.expandIndices, 3);
+        }
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferData(
+            gl.ARRAY_BUFFER,
+            new Float32Array(vertPos),
+            gl.DYNAMIC_DRAW
+        );
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
+        gl.bufferData(
+            gl.ARRAY_BUFFER,
+            new Float32Array(normals),
+            gl.DYNAMIC_DRAW
+        );
+    }
+
     // This method is called when the user changes the state of the
     // "Swap Y-Z Axes" checkbox.
     // The argument is a boolean that indicates if the checkbox is checked.
@@ -200,7 +252,12 @@ class MeshDrawer {
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, this.texture);
 
-        gl.drawArrays(gl.TRIANGLES, 0, this.numTriangles);
+        if (this.numElements) {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+            gl.drawElements(gl.TRIANGLES, this.numElements, this.indexType, 0);
+        } else {
+            gl.drawArrays(gl.TRIANGLES, 0, this.numTriangles);
+        }
     }
 
     // This method is called to set the texture of the mesh.
@@ -234,6 +291,17 @@ class MeshDrawer {
     }
 }
 
+// Returns the values of the vertices with the given indices, where each vertex has dim values.
+function ExpandVertices(values, indices, dim) {
+    let expanded = new Array(indices.length * dim);
+    for (let i = 0; i < indices.length; i++) {
+        for (let d = 0; d < dim; d++) {
+            expanded[i * dim + d] = values[indices[i] * dim + d];
+        }
+    }
+    return expanded;
+}
+
 // This function is called for every step of the simulation.
 // Its job is to advance the simulation for the given time step duration dt.
 // It updates the given positions and velocities.